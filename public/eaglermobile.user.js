@@ -13,6 +13,42 @@ window.keyboardEnabled = false;
 window.crouchLock = false;
 window.sprintLock = false;
 window.keyboardFix = false; // temporarily set to true until I can figure out whats going wrong with the event listener in charge of switching it
+// Player settings, kept across sessions
+const SETTINGS_STORAGE_KEY = "eaglerMobileSettings";
+const LOOK_DEFAULTS = {sensitivity: 1, scaleX: 1, scaleY: 1, invertY: false, smoothing: 0, gyro: false, gyroSensitivity: 1};
+var mobileSettings = loadMobileSettings();
+function loadMobileSettings() {
+    let settings = {movement: "buttons", gestures: false, guiScale: 0};
+    try {
+        Object.assign(settings, JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)));
+    } catch (e) {}
+    settings.look = Object.assign({}, LOOK_DEFAULTS, settings.look);
+    return settings;
+}
+function saveMobileSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(mobileSettings));
+    } catch (e) {
+        console.warn("Could not save settings: " + e.message);
+    }
+}
+// "buttons" is the classic forward/left/right/back set, "joystick" the floating stick; the other set is hidden through CSS
+function setMovementMode(mode) {
+    mobileSettings.movement = mode == "joystick" ? "joystick" : "buttons";
+    saveMobileSettings();
+    document.documentElement.classList.toggle("joystickMode", mobileSettings.movement == "joystick");
+    releaseJoystick();
+    applyLayout();
+}
+document.documentElement.classList.toggle("joystickMode", mobileSettings.movement == "joystick");
+// Gestures replace the break/place buttons with tap and long-press on the canvas, and make the hotbar tappable
+function setGestureMode(on) {
+    mobileSettings.gestures = on;
+    saveMobileSettings();
+    document.documentElement.classList.toggle("gestureMode", on);
+    releaseGestures();
+}
+document.documentElement.classList.toggle("gestureMode", mobileSettings.gestures);
 // Used for changing touchmove events to mousemove events
 var previousTouchX = null;
 var previousTouchY = null;
@@ -61,8 +97,9 @@ function keyEvent(name, state) {
     evt.isValid = true; // Disables fix for bad keyboard input
     window.dispatchEvent(evt);
 }
-function mouseEvent(number, state, canvas) {
-    canvas.dispatchEvent(new PointerEvent(state, {"button": number}))
+// position ({clientX, clientY}) is only needed in menus, where the client hit-tests the cursor
+function mouseEvent(number, state, canvas, position) {
+    canvas.dispatchEvent(new PointerEvent(state, Object.assign({"button": number}, position)))
 }
 function wheelEvent(canvas, delta) {
     canvas.dispatchEvent(new WheelEvent("wheel", {
@@ -189,12 +226,15 @@ function waitForElm(selector) {
         });
     });
 }
+// Every control by its class name, so the layout editor can move it
+var touchControls = {};
 function createTouchButton(buttonClass, buttonDisplay, elementName) {
     var touchButton = document.createElement(elementName ?? 'button', true);
     touchButton.classList.add(buttonClass);
     touchButton.classList.add(buttonDisplay);
     touchButton.classList.add("mobileControl");
     touchButton.addEventListener("touchmove", function(e){e.preventDefault()}, false);
+    touchControls[buttonClass] = touchButton;
     return touchButton;
 }
 
@@ -213,9 +253,14 @@ waitForElm('canvas').then(() => {insertCanvasElements()});
 function insertCanvasElements() {    
     // Translates touchmove events to mousemove events when inGame, and touchmove events to wheele events when inMenu
     var canvas = document.querySelector('canvas');
+    gameCanvas = canvas;
     canvas.addEventListener("touchmove", function(e) {
         e.preventDefault();
-        const touch = e.targetTouches[0]; // We can get away with this because every other touch event will be on different elements
+        // We can get away with this because every other touch event will be on different elements, except a finger on the hotbar
+        const touch = Array.from(e.targetTouches).find((t) => t.identifier !== gesture.hotbarTouch);
+        if(!touch) {
+            return;
+        }
 
         if (!previousTouchX) {
             previousTouchX = touch.pageX;
@@ -223,8 +268,11 @@ function insertCanvasElements() {
         }
         e.movementX = touch.pageX - previousTouchX;
         e.movementY = touch.pageY - previousTouchY;
-        var evt = window.fakelock ? new MouseEvent("mousemove", {movementX: e.movementX, movementY: e.movementY}) : new WheelEvent("wheel", {"wheelDeltaY": e.movementY});
-        canvas.dispatchEvent(evt);
+        if(window.fakelock) {
+            lookBy(e.movementX, e.movementY);
+        } else {
+            canvas.dispatchEvent(new WheelEvent("wheel", {"wheelDeltaY": e.movementY}));
+        }
         previousTouchX = touch.pageX;
         previousTouchY = touch.pageY;
     }, false);
@@ -233,6 +281,10 @@ function insertCanvasElements() {
         previousTouchX = null;
         previousTouchY = null; 
     }, false)
+    canvas.addEventListener("touchstart", gestureStart, false);
+    canvas.addEventListener("touchmove", gestureMove, false);
+    canvas.addEventListener("touchend", gestureEnd, false);
+    canvas.addEventListener("touchcancel", gestureEnd, false);
     //Updates button visibility on load
     setButtonVisibility(window.fakelock != null);
     // Adds all of the touch screen controls
@@ -250,6 +302,7 @@ function insertCanvasElements() {
     forwardButton.style.cssText = "left:14vh;bottom:22vh;"
     forwardButton.addEventListener("touchstart", function(e){
         keyEvent("w", "keydown");
+        forwardTapped();
         strafeRightButton.classList.remove("hide");
         strafeLeftButton.classList.remove("hide");
         forwardButton.classList.add("active");
@@ -281,6 +334,7 @@ function insertCanvasElements() {
     }, false);
     forwardButton.addEventListener("touchend", function(e) {
         keyEvent("w", "keyup");
+        forwardReleased();
         keyEvent("d", "keyup");
         keyEvent("a", "keyup");
         strafeRightButton.classList.remove("active");
@@ -311,6 +365,19 @@ function insertCanvasElements() {
     backButton.addEventListener("touchstart", function(e){keyEvent("s", "keydown")}, false);
     backButton.addEventListener("touchend", function(e){keyEvent("s", "keyup")}, false);
     document.body.appendChild(backButton);
+    let joystickZone = createTouchButton("joystickZone", "inGame", "div");
+    joystickZone.dataset.maxSize = 60;
+    joystickZone.style.cssText = "left:1vh;bottom:1vh;width:40vh;height:40vh;"
+    let joystickBase = document.createElement("div", true);
+    joystickBase.classList.add("joystickBase");
+    joystickBase.appendChild(document.createElement("div", true)).classList.add("joystickRing");
+    joystickBase.appendChild(document.createElement("div", true)).classList.add("joystickKnob");
+    joystickZone.appendChild(joystickBase);
+    joystickZone.addEventListener("touchstart", joystickStart, false);
+    joystickZone.addEventListener("touchmove", joystickMove, false);
+    joystickZone.addEventListener("touchend", joystickEnd, false);
+    joystickZone.addEventListener("touchcancel", joystickEnd, false);
+    document.body.appendChild(joystickZone);
     let jumpButton = createTouchButton("jumpButton", "inGame");
     jumpButton.style.cssText = "right:20vh;bottom:20vh;"
     jumpButton.addEventListener("touchstart", function(e){keyEvent(" ", "keydown")}, false);
@@ -319,6 +386,7 @@ function insertCanvasElements() {
     
     let crouchButton = createTouchButton("crouchButton", "inGame");
     crouchButton.style.cssText = "left:14vh;bottom:12vh;"
+    crouchButton.dataset.joystickCss = "left:44vh;bottom:2vh;"
     crouchButton.addEventListener("touchstart", function(e){
         keyEvent("shift", "keydown")
         window.crouchLock = window.crouchLock ? null : false
@@ -395,6 +463,13 @@ function insertCanvasElements() {
     keyboardButton.addEventListener("touchstart", function(e){e.preventDefault();hiddenInput.blur()}, false);
     keyboardButton.addEventListener("touchend", function(e){e.preventDefault();toggleKeyboard()}, false);
     document.body.appendChild(keyboardButton);
+    let layoutButton = createTouchButton("layoutButton", "inMenu");
+	layoutButton.classList.add("smallMobileControl");
+    layoutButton.style.cssText = "top: 0.5vh; margin: auto; left: 20vh; right:0vh;"
+    layoutButton.textContent = "\u2725";
+    layoutButton.addEventListener("touchend", function(e){e.preventDefault();openLayoutEditor()}, false);
+    layoutButton.addEventListener("click", openLayoutEditor, false); // mouse, e.g. a Chromebook with a controller and no touchscreen
+    document.body.appendChild(layoutButton);
     let placeButton = createTouchButton("placeButton", "inGame");
     placeButton.style.cssText = "right:6vh;bottom:37vh;"
     placeButton.addEventListener("touchstart", function(e){mouseEvent(2, "mousedown", canvas)}, false);
@@ -493,6 +568,1107 @@ function insertCanvasElements() {
         keyEvent("3", "keyup");
     }, false);
     document.body.appendChild(coordinatesButton);
+    let gyroButton = createTouchButton("gyroButton", "inGame");
+	gyroButton.classList.add("smallMobileControl");
+    gyroButton.style.cssText = "top: 0.5vh; margin: auto; left: 42vh; right: 0vh;"
+    gyroButton.textContent = "\u25CE";
+    gyroButton.addEventListener("touchend", function(e){e.preventDefault();toggleGyro()}, false);
+    document.body.appendChild(gyroButton);
+    updateGyroButton();
+    applyLayout();
+}
+// LAYOUT EDITOR
+// Controls can be dragged, resized, faded and hidden. Layouts are saved as named profiles in localStorage;
+// a profile only stores the controls that were changed, everything else keeps its position from insertCanvasElements
+// Stored per control: {ax: "left"|"right", x, ay: "top"|"bottom", y, size, opacity, hidden}, distances in vh
+const LAYOUT_STORAGE_KEY = "eaglerMobileLayouts";
+window.layoutEditing = false;
+var layoutState = loadLayoutState();
+var selectedControl = null;
+var layoutDrag = null;
+
+function loadLayoutState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY));
+        if(saved && saved.profiles && saved.profiles[saved.active]) {
+            return saved;
+        }
+    } catch (e) {}
+    return {active: "Default", profiles: {"Default": {}}};
+}
+function saveLayoutState() {
+    try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layoutState));
+    } catch (e) {
+        console.warn("Could not save the control layout: " + e.message);
+    }
+}
+function activeLayout() {
+    return layoutState.profiles[layoutState.active];
+}
+function clampNumber(value, min, max) {
+    return Math.min(max, Math.max(min, Number(value)));
+}
+// Drops anything a hand-edited or foreign JSON file could break the page with
+function cleanControlLayout(c) {
+    if(!c || typeof c != "object") {
+        return null;
+    }
+    let clean = {};
+    if(Number.isFinite(c.x) && Number.isFinite(c.y)) {
+        clean.ax = c.ax == "right" ? "right" : "left";
+        clean.ay = c.ay == "top" ? "top" : "bottom";
+        clean.x = clampNumber(c.x, 0, 500);
+        clean.y = clampNumber(c.y, 0, 100);
+    }
+    if(Number.isFinite(c.size)) {
+        clean.size = clampNumber(c.size, 4, 60);
+    }
+    if(Number.isFinite(c.opacity)) {
+        clean.opacity = clampNumber(c.opacity, 0.1, 1);
+    }
+    if(c.hidden === true) {
+        clean.hidden = true;
+    }
+    return Object.keys(clean).length ? clean : null;
+}
+
+function applyControlLayout(name) {
+    const el = touchControls[name];
+    if(el.dataset.defaultCss == null) {
+        el.dataset.defaultCss = el.style.cssText;
+    }
+    const c = activeLayout()[name];
+    // The editor button can't be hidden, or there would be no way back
+    el.classList.toggle("layoutHidden", !!(c && c.hidden) && name != "layoutButton");
+    let css = (mobileSettings.movement == "joystick" && el.dataset.joystickCss) || el.dataset.defaultCss;
+    if(c && c.x != null) {
+        css = `${c.ax}:${c.x}vh;${c.ay}:${c.y}vh;margin:0;`;
+    }
+    if(c && c.size != null) {
+        css += `width:${c.size}vh;height:${c.size}vh;`;
+    }
+    if(c && c.opacity != null) {
+        css += `--control-opacity:${c.opacity};`;
+    }
+    el.style.cssText = css;
+}
+function applyLayout() {
+    Object.keys(touchControls).forEach(applyControlLayout);
+    refreshLayoutEditor();
+}
+function updateControlLayout(name, changes) {
+    const merged = cleanControlLayout(Object.assign({}, activeLayout()[name], changes));
+    if(merged) {
+        activeLayout()[name] = merged;
+    } else {
+        delete activeLayout()[name];
+    }
+    saveLayoutState();
+    applyControlLayout(name);
+    refreshLayoutEditor();
+}
+// Anchors to the nearest screen edges, so the layout survives rotation and other aspect ratios
+function controlPosition(el) {
+    const rect = el.getBoundingClientRect();
+    const vh = window.innerHeight / 100;
+    const round = (n) => Math.round(Math.max(0, n) / vh * 10) / 10;
+    const left = (rect.left + rect.width / 2) < window.innerWidth / 2;
+    const top = (rect.top + rect.height / 2) < window.innerHeight / 2;
+    return {
+        ax: left ? "left" : "right",
+        x: round(left ? rect.left : window.innerWidth - rect.right),
+        ay: top ? "top" : "bottom",
+        y: round(top ? rect.top : window.innerHeight - rect.bottom)
+    };
+}
+function controlSize(el) {
+    return Math.round(el.getBoundingClientRect().height / (window.innerHeight / 100) * 10) / 10;
+}
+
+// Editor panel
+function createEditorElement(type, text, parent) {
+    let element = document.createElement(type, true);
+    if(text != null) {
+        element.textContent = text;
+    }
+    parent.appendChild(element);
+    return element;
+}
+function createEditorSlider(label, min, max, step, parent, onInput) {
+    let wrapper = createEditorElement("label", null, parent);
+    createEditorElement("span", label, wrapper);
+    let slider = createEditorElement("input", null, wrapper);
+    slider.type = "range";
+    slider.min = min;
+    slider.max = max;
+    slider.step = step;
+    slider.addEventListener("input", function(e) {onInput(Number(slider.value))}, false);
+    return slider;
+}
+var layoutEditor = null;
+function buildLayoutEditor() {
+    layoutEditor = createEditorElement("div", null, document.body);
+    layoutEditor.id = "layoutEditor";
+    layoutEditor.className = "editorPanel";
+    let profileRow = createEditorElement("div", null, layoutEditor);
+    let profileSelect = createEditorElement("select", null, profileRow);
+    profileSelect.addEventListener("change", function(e) {
+        layoutState.active = profileSelect.value;
+        saveLayoutState();
+        selectControl(null);
+        applyLayout();
+    }, false);
+    createEditorElement("button", "New", profileRow).addEventListener("click", newLayoutProfile, false);
+    createEditorElement("button", "Delete", profileRow).addEventListener("click", deleteLayoutProfile, false);
+    createEditorElement("button", "Export", profileRow).addEventListener("click", exportLayoutProfile, false);
+    createEditorElement("button", "Import", profileRow).addEventListener("click", importLayoutProfile, false);
+    createEditorElement("button", "Reset", profileRow).addEventListener("click", resetLayoutProfile, false);
+    createEditorElement("button", "Done", profileRow).addEventListener("click", closeLayoutEditor, false);
+
+    let settingsRow = createEditorElement("div", null, layoutEditor);
+    settingsRow.className = "layoutSettingsRow";
+    let movementLabel = createEditorElement("label", null, settingsRow);
+    createEditorElement("span", "Movement", movementLabel);
+    let movementSelect = createEditorElement("select", null, movementLabel);
+    [["buttons", "Buttons"], ["joystick", "Joystick"]].forEach(function(mode) {
+        createEditorElement("option", mode[1], movementSelect).value = mode[0];
+    });
+    movementSelect.addEventListener("change", function(e) {
+        selectControl(null);
+        setMovementMode(movementSelect.value);
+    }, false);
+    let actionsLabel = createEditorElement("label", null, settingsRow);
+    createEditorElement("span", "Break/place", actionsLabel);
+    let actionsSelect = createEditorElement("select", null, actionsLabel);
+    [["buttons", "Buttons"], ["gestures", "Gestures"]].forEach(function(mode) {
+        createEditorElement("option", mode[1], actionsSelect).value = mode[0];
+    });
+    actionsSelect.addEventListener("change", function(e) {
+        selectControl(null);
+        setGestureMode(actionsSelect.value == "gestures");
+    }, false);
+    // Only used to find the hotbar for gesture taps, so it has to match the in-game GUI Scale option
+    let guiScaleLabel = createEditorElement("label", null, settingsRow);
+    createEditorElement("span", "GUI scale", guiScaleLabel);
+    let guiScaleSelect = createEditorElement("select", null, guiScaleLabel);
+    [[0, "Auto"], [1, "Small"], [2, "Normal"], [3, "Large"]].forEach(function(scale) {
+        createEditorElement("option", scale[1], guiScaleSelect).value = scale[0];
+    });
+    guiScaleSelect.addEventListener("change", function(e) {
+        mobileSettings.guiScale = Number(guiScaleSelect.value);
+        saveMobileSettings();
+    }, false);
+    createEditorElement("button", "Look", settingsRow).addEventListener("click", openLookPanel, false);
+    createEditorElement("button", "Controller", settingsRow).addEventListener("click", openGamepadPanel, false);
+
+    let controlRow = createEditorElement("div", null, layoutEditor);
+    controlRow.className = "layoutControlRow";
+    let hint = createEditorElement("span", "Drag a control to move it, tap it to change it", controlRow);
+    let sizeSlider = createEditorSlider("Size", 4, 25, 0.5, controlRow, function(v) {updateControlLayout(selectedControl, {size: v})});
+    let opacitySlider = createEditorSlider("Opacity", 0.1, 1, 0.05, controlRow, function(v) {updateControlLayout(selectedControl, {opacity: v})});
+    let hideButton = createEditorElement("button", "Hide", controlRow);
+    hideButton.addEventListener("click", function(e) {
+        const c = activeLayout()[selectedControl];
+        updateControlLayout(selectedControl, {hidden: !(c && c.hidden)});
+    }, false);
+    let defaultButton = createEditorElement("button", "Default", controlRow);
+    defaultButton.addEventListener("click", function(e) {
+        delete activeLayout()[selectedControl];
+        saveLayoutState();
+        applyControlLayout(selectedControl);
+        refreshLayoutEditor();
+    }, false);
+
+    layoutEditor.refresh = function() {
+        profileSelect.innerHTML = "";
+        Object.keys(layoutState.profiles).forEach(function(name) {
+            let option = createEditorElement("option", name, profileSelect);
+            option.value = name;
+            option.selected = name == layoutState.active;
+        });
+        movementSelect.value = mobileSettings.movement;
+        actionsSelect.value = mobileSettings.gestures ? "gestures" : "buttons";
+        guiScaleSelect.value = mobileSettings.guiScale;
+        const el = touchControls[selectedControl];
+        [sizeSlider.parentNode, opacitySlider.parentNode, hideButton, defaultButton].forEach(function(item) {
+            item.hidden = !el;
+        });
+        hint.textContent = el ? selectedControl.replace(/Button$/, "") : "Drag a control to move it, tap it to change it";
+        if(el) {
+            const c = activeLayout()[selectedControl] || {};
+            sizeSlider.max = el.dataset.maxSize || 25;
+            sizeSlider.value = c.size ?? controlSize(el);
+            opacitySlider.value = c.opacity ?? 0.5;
+            hideButton.textContent = c.hidden ? "Show" : "Hide";
+            hideButton.disabled = selectedControl == "layoutButton";
+        }
+    };
+}
+function refreshLayoutEditor() {
+    if(layoutEditor) {
+        layoutEditor.refresh();
+    }
+}
+function selectControl(name) {
+    if(touchControls[selectedControl]) {
+        touchControls[selectedControl].classList.remove("layoutSelected");
+    }
+    selectedControl = name;
+    if(touchControls[name]) {
+        touchControls[name].classList.add("layoutSelected");
+    }
+    refreshLayoutEditor();
+}
+function openLayoutEditor() {
+    if(!layoutEditor) {
+        buildLayoutEditor();
+    }
+    window.layoutEditing = true;
+    document.body.classList.add("layoutEditing");
+    layoutEditor.hidden = false;
+    selectControl(null);
+}
+function closeLayoutEditor() {
+    window.layoutEditing = false;
+    document.body.classList.remove("layoutEditing");
+    layoutEditor.hidden = true;
+    selectControl(null);
+}
+
+// Profiles
+function uniqueProfileName(name) {
+    let unique = name;
+    for(let i = 2; layoutState.profiles[unique]; i++) {
+        unique = `${name} (${i})`;
+    }
+    return unique;
+}
+function newLayoutProfile() {
+    const name = (prompt("Name for the new layout (starts as a copy of this one):", "") || "").trim().slice(0, 40);
+    if(!name) {
+        return;
+    }
+    const unique = uniqueProfileName(name);
+    layoutState.profiles[unique] = JSON.parse(JSON.stringify(activeLayout()));
+    layoutState.active = unique;
+    saveLayoutState();
+    applyLayout();
+}
+function deleteLayoutProfile() {
+    const names = Object.keys(layoutState.profiles);
+    if(names.length < 2) {
+        alert("This is the only layout. Use Reset to go back to the default controls.");
+        return;
+    }
+    if(!confirm(`Delete the layout "${layoutState.active}"?`)) {
+        return;
+    }
+    delete layoutState.profiles[layoutState.active];
+    layoutState.active = Object.keys(layoutState.profiles)[0];
+    saveLayoutState();
+    selectControl(null);
+    applyLayout();
+}
+function resetLayoutProfile() {
+    if(!confirm(`Put every control in "${layoutState.active}" back where it started?`)) {
+        return;
+    }
+    layoutState.profiles[layoutState.active] = {};
+    saveLayoutState();
+    applyLayout();
+}
+function exportLayoutProfile() {
+    const json = JSON.stringify({name: layoutState.active, controls: activeLayout()});
+    if(navigator.clipboard) {
+        navigator.clipboard.writeText(json).then(function() {
+            alert("Layout copied to the clipboard.");
+        }, function() {
+            prompt("Copy this layout:", json);
+        });
+    } else {
+        prompt("Copy this layout:", json);
+    }
+}
+function importLayoutProfile() {
+    const text = prompt("Paste a layout:", "");
+    if(!text) {
+        return;
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        alert("That isn't a layout (not valid JSON).");
+        return;
+    }
+    if(!data || typeof data.controls != "object" || !data.controls) {
+        alert("That isn't a layout (no \"controls\").");
+        return;
+    }
+    let controls = {};
+    Object.keys(data.controls).forEach(function(name) {
+        const clean = touchControls[name] ? cleanControlLayout(data.controls[name]) : null;
+        if(clean) {
+            controls[name] = clean;
+        }
+    });
+    const name = uniqueProfileName(String(data.name || "Imported").trim().slice(0, 40) || "Imported");
+    layoutState.profiles[name] = controls;
+    layoutState.active = name;
+    saveLayoutState();
+    selectControl(null);
+    applyLayout();
+}
+
+// While editing, touches on controls move them instead of reaching the game; capturing on window runs before the buttons' own listeners
+window.addEventListener("touchstart", function(e) {
+    if(!window.layoutEditing || (layoutEditor && layoutEditor.contains(e.target))) {
+        return;
+    }
+    e.stopPropagation();
+    const el = e.target.closest ? e.target.closest(".mobileControl") : null;
+    const name = el ? Object.keys(touchControls).find((key) => touchControls[key] == el) : null;
+    if(!name) {
+        selectControl(null);
+        return;
+    }
+    e.preventDefault();
+    const touch = e.changedTouches[0];
+    const rect = el.getBoundingClientRect();
+    selectControl(name);
+    layoutDrag = {name: name, id: touch.identifier, startX: touch.clientX, startY: touch.clientY, left: rect.left, top: rect.top, moved: false};
+}, {capture: true, passive: false});
+window.addEventListener("touchmove", function(e) {
+    if(!window.layoutEditing || (layoutEditor && layoutEditor.contains(e.target))) {
+        return;
+    }
+    e.stopPropagation();
+    e.preventDefault();
+    const touch = layoutDrag && Array.from(e.changedTouches).find((t) => t.identifier == layoutDrag.id);
+    if(!touch) {
+        return;
+    }
+    const el = touchControls[layoutDrag.name];
+    const rect = el.getBoundingClientRect();
+    const left = clampNumber(layoutDrag.left + touch.clientX - layoutDrag.startX, 0, window.innerWidth - rect.width);
+    const top = clampNumber(layoutDrag.top + touch.clientY - layoutDrag.startY, 0, window.innerHeight - rect.height);
+    layoutDrag.moved = true;
+    el.style.left = left + "px";
+    el.style.top = top + "px";
+    el.style.right = "auto";
+    el.style.bottom = "auto";
+    el.style.margin = "0";
+}, {capture: true, passive: false});
+function layoutTouchEnd(e) {
+    if(!window.layoutEditing || (layoutEditor && layoutEditor.contains(e.target))) {
+        return;
+    }
+    e.stopPropagation();
+    if(layoutDrag && Array.from(e.changedTouches).some((t) => t.identifier == layoutDrag.id)) {
+        if(layoutDrag.moved) {
+            updateControlLayout(layoutDrag.name, controlPosition(touchControls[layoutDrag.name]));
+        }
+        layoutDrag = null;
+    }
+}
+window.addEventListener("touchend", layoutTouchEnd, {capture: true, passive: false});
+window.addEventListener("touchcancel", layoutTouchEnd, {capture: true, passive: false});
+// JOYSTICK
+// Floating stick: it centers wherever the thumb lands in joystickZone. The direction holds W/A/S/D (two of them on diagonals),
+// nothing is pressed inside the deadzone, and pushing forward past the outer ring holds sprint as well
+const JOYSTICK_RADIUS_VH = 7;
+const JOYSTICK_DEADZONE = 0.25; // of the radius
+const JOYSTICK_SPRINT_RING = 1.3; // of the radius
+const JOYSTICK_AXIS = Math.sin(Math.PI / 8); // splits the circle into 8 directions of 45 degrees
+var joystick = {touchId: null, zone: null, originX: 0, originY: 0, keys: {w: false, a: false, s: false, d: false}, sprint: false};
+
+// Sends keydown/keyup only when a key held by a stick changes; keys is that stick's {w, a, s, d} state
+function setHeldKey(keys, key, down) {
+    if(keys[key] != down) {
+        keys[key] = down;
+        keyEvent(key, down ? "keydown" : "keyup");
+    }
+}
+// Unit vector -> which of W/A/S/D to hold
+function stickKeys(nx, ny) {
+    return {w: ny < -JOYSTICK_AXIS, s: ny > JOYSTICK_AXIS, a: nx < -JOYSTICK_AXIS, d: nx > JOYSTICK_AXIS};
+}
+// Pushing the stick forward counts as a press of the forward button for double-tap sprint
+function setJoystickKey(key, down) {
+    if(key == "w" && joystick.keys.w != down) {
+        if(down) {
+            forwardTapped();
+        } else {
+            forwardReleased();
+        }
+    }
+    setHeldKey(joystick.keys, key, down);
+}
+function setJoystickSprint(on) {
+    if(joystick.sprint == on) {
+        return;
+    }
+    joystick.sprint = on;
+    joystick.zone.classList.toggle("sprinting", on);
+    if(on) {
+        keyEvent("r", "keydown");
+    } else if(!window.sprintLock && !gesture.forwardSprint) {
+        keyEvent("r", "keyup");
+    }
+}
+function joystickStart(e) {
+    e.preventDefault();
+    if(joystick.touchId != null) {
+        return;
+    }
+    const touch = e.changedTouches[0];
+    const rect = e.currentTarget.getBoundingClientRect();
+    const base = e.currentTarget.querySelector(".joystickBase");
+    joystick.touchId = touch.identifier;
+    joystick.zone = e.currentTarget;
+    joystick.originX = touch.clientX;
+    joystick.originY = touch.clientY;
+    base.style.left = (touch.clientX - rect.left) + "px";
+    base.style.top = (touch.clientY - rect.top) + "px";
+    joystick.zone.classList.add("active");
+}
+function joystickMove(e) {
+    e.preventDefault();
+    const touch = Array.from(e.changedTouches).find((t) => t.identifier == joystick.touchId);
+    if(!touch) {
+        return;
+    }
+    const radius = window.innerHeight / 100 * JOYSTICK_RADIUS_VH;
+    const dx = touch.clientX - joystick.originX;
+    const dy = touch.clientY - joystick.originY;
+    const distance = Math.hypot(dx, dy) / radius;
+    const knobScale = distance > 1 ? 1 / distance : 1;
+    joystick.zone.querySelector(".joystickKnob").style.transform = `translate(${dx * knobScale}px, ${dy * knobScale}px)`;
+    if(distance < JOYSTICK_DEADZONE) {
+        ["w", "a", "s", "d"].forEach((key) => setJoystickKey(key, false));
+        setJoystickSprint(false);
+        return;
+    }
+    const keys = stickKeys(dx / (distance * radius), dy / (distance * radius));
+    Object.keys(keys).forEach((key) => setJoystickKey(key, keys[key]));
+    setJoystickSprint(distance > JOYSTICK_SPRINT_RING && joystick.keys.w);
+}
+function joystickEnd(e) {
+    if(Array.from(e.changedTouches).some((t) => t.identifier == joystick.touchId)) {
+        releaseJoystick();
+    }
+}
+function releaseJoystick() {
+    if(joystick.touchId == null) {
+        return;
+    }
+    ["w", "a", "s", "d"].forEach((key) => setJoystickKey(key, false));
+    setJoystickSprint(false);
+    const base = joystick.zone.querySelector(".joystickBase");
+    base.style.left = "";
+    base.style.top = "";
+    joystick.zone.querySelector(".joystickKnob").style.transform = "";
+    joystick.zone.classList.remove("active");
+    joystick.touchId = null;
+}
+// LOOK
+// Touch, gamepad and gyroscope camera movement all end up in queueLook. Sensitivity, X/Y scale and invert Y apply to touch and gamepad,
+// the gyroscope has its own sensitivity. Smoothing spreads each movement over the next frames instead of sending it at once
+const GYRO_PX_PER_RADIAN = 380; // roughly one degree of camera per degree of phone at the default in-game mouse sensitivity
+const GYRO_MAX_STEP = 0.5; // radians between two readings; anything bigger is a glitch or a resume, not aiming
+var gameCanvas = null;
+// iOS asks for motion access, only from a tap, and forgets the answer on every page load
+const GYRO_NEEDS_PERMISSION = typeof DeviceOrientationEvent != "undefined" && typeof DeviceOrientationEvent.requestPermission == "function";
+var look = {pendingX: 0, pendingY: 0, restX: 0, restY: 0, frame: null, lastFrame: 0, gyroMatrix: null, gyroAllowed: !GYRO_NEEDS_PERMISSION};
+
+function lookBy(dx, dy) {
+    const s = mobileSettings.look;
+    queueLook(dx * s.sensitivity * s.scaleX, dy * s.sensitivity * s.scaleY * (s.invertY ? -1 : 1));
+}
+function queueLook(dx, dy) {
+    look.pendingX += dx;
+    look.pendingY += dy;
+    if(mobileSettings.look.smoothing <= 0) {
+        flushLook(1);
+    } else if(!look.frame) {
+        look.lastFrame = 0;
+        look.frame = requestAnimationFrame(smoothLook);
+    }
+}
+function smoothLook(time) {
+    const dt = look.lastFrame ? Math.min(0.1, (time - look.lastFrame) / 1000) : 1 / 60;
+    look.lastFrame = time;
+    // The share sent per frame is adjusted so smoothing feels the same at any frame rate
+    flushLook(1 - Math.pow(mobileSettings.look.smoothing, dt * 60));
+    look.frame = (Math.abs(look.pendingX) + Math.abs(look.pendingY) > 0.5) ? requestAnimationFrame(smoothLook) : null;
+}
+// movementX/Y are whole pixels, so the fractions carry over to the next event
+function flushLook(share) {
+    const x = look.pendingX * share;
+    const y = look.pendingY * share;
+    look.pendingX -= x;
+    look.pendingY -= y;
+    look.restX += x;
+    look.restY += y;
+    const moveX = Math.trunc(look.restX);
+    const moveY = Math.trunc(look.restY);
+    look.restX -= moveX;
+    look.restY -= moveY;
+    if((moveX || moveY) && window.fakelock && gameCanvas) {
+        gameCanvas.dispatchEvent(new MouseEvent("mousemove", {movementX: moveX, movementY: moveY}));
+    }
+}
+
+// Device -> earth rotation matrix for a deviceorientation reading (Z-X'-Y'' Euler angles, as in the spec)
+function orientationMatrix(e) {
+    const rad = Math.PI / 180;
+    const cA = Math.cos(e.alpha * rad), sA = Math.sin(e.alpha * rad);
+    const cB = Math.cos(e.beta * rad), sB = Math.sin(e.beta * rad);
+    const cG = Math.cos(e.gamma * rad), sG = Math.sin(e.gamma * rad);
+    return [
+        [cA * cG - sA * sB * sG, -cB * sA, cG * sA * sB + cA * sG],
+        [cG * sA + cA * sB * sG, cA * cB, sA * sG - cA * cG * sB],
+        [-cB * sG, sB, cB * cG]
+    ];
+}
+// Works on the rotation between two readings rather than the angles themselves, which jump around when the phone is held upright in landscape
+function gyroLook(e) {
+    if(!gyroActive() || !window.fakelock || e.alpha == null) {
+        look.gyroMatrix = null;
+        return;
+    }
+    const current = orientationMatrix(e);
+    const previous = look.gyroMatrix;
+    look.gyroMatrix = current;
+    if(!previous) {
+        return;
+    }
+    // previous^T * current is the rotation since the last reading, in the device's own axes
+    const d = (i, j) => previous[0][i] * current[0][j] + previous[1][i] * current[1][j] + previous[2][i] * current[2][j];
+    const rx = (d(2, 1) - d(1, 2)) / 2;
+    const ry = (d(0, 2) - d(2, 0)) / 2;
+    if(Math.abs(rx) > GYRO_MAX_STEP || Math.abs(ry) > GYRO_MAX_STEP) {
+        return;
+    }
+    // Device axes -> screen axes for the current rotation (landscape is 90 or 270)
+    const angle = ((screen.orientation && screen.orientation.angle) ?? window.orientation ?? 0) * Math.PI / 180;
+    const screenX = Math.cos(angle) * rx - Math.sin(angle) * ry;
+    const screenY = Math.sin(angle) * rx + Math.cos(angle) * ry;
+    const scale = GYRO_PX_PER_RADIAN * mobileSettings.look.gyroSensitivity;
+    // Turning right spins the phone clockwise around the screen's up axis; tilting the top away looks down
+    queueLook(-screenY * scale, -screenX * scale);
+}
+window.addEventListener("deviceorientation", gyroLook, false);
+
+// The saved look.gyro is only the preference: on iOS gyro aiming also needs motion access granted in this session
+function gyroActive() {
+    return mobileSettings.look.gyro && look.gyroAllowed;
+}
+// After a reload on iOS the preference can be on while access isn't, so a tap asks again instead of turning it off
+function toggleGyro() {
+    const enable = !gyroActive();
+    const apply = function() {
+        mobileSettings.look.gyro = enable;
+        saveMobileSettings();
+        look.gyroMatrix = null;
+        updateGyroButton();
+        refreshLookPanel();
+    };
+    if(enable && !look.gyroAllowed) {
+        DeviceOrientationEvent.requestPermission().then(function(state) {
+            if(state == "granted") {
+                look.gyroAllowed = true;
+                apply();
+            } else {
+                refreshLookPanel();
+                alert("Motion access was denied, so gyro aiming can't be turned on.");
+            }
+        }, function(e) {
+            refreshLookPanel();
+            alert("Could not ask for motion access: " + e.message);
+        });
+    } else {
+        apply();
+    }
+}
+function updateGyroButton() {
+    if(touchControls.gyroButton) {
+        touchControls.gyroButton.classList.toggle("gyroOn", gyroActive());
+    }
+}
+
+// Look settings panel, opened from the layout editor
+var lookPanel = null;
+function updateLookSetting(name, value) {
+    mobileSettings.look[name] = value;
+    saveMobileSettings();
+    refreshLookPanel();
+}
+function buildLookPanel() {
+    lookPanel = createEditorElement("div", null, document.body);
+    lookPanel.id = "lookPanel";
+    lookPanel.className = "editorPanel";
+    let titleRow = createEditorElement("div", null, lookPanel);
+    createEditorElement("span", "Look", titleRow);
+    createEditorElement("button", "Defaults", titleRow).addEventListener("click", function(e) {
+        mobileSettings.look = Object.assign({}, LOOK_DEFAULTS, {gyro: mobileSettings.look.gyro});
+        saveMobileSettings();
+        refreshLookPanel();
+    }, false);
+    createEditorElement("button", "Close", titleRow).addEventListener("click", function(e) {
+        lookPanel.hidden = true;
+    }, false);
+    let sliderRow = createEditorElement("div", null, lookPanel);
+    sliderRow.className = "layoutControlRow";
+    let sliders = {
+        sensitivity: createEditorSlider("Sensitivity", 0.1, 3, 0.05, sliderRow, (v) => updateLookSetting("sensitivity", v)),
+        scaleX: createEditorSlider("Horizontal", 0.25, 2, 0.05, sliderRow, (v) => updateLookSetting("scaleX", v)),
+        scaleY: createEditorSlider("Vertical", 0.25, 2, 0.05, sliderRow, (v) => updateLookSetting("scaleY", v)),
+        smoothing: createEditorSlider("Smoothing", 0, 0.9, 0.05, sliderRow, (v) => updateLookSetting("smoothing", v)),
+        gyroSensitivity: createEditorSlider("Gyro sensitivity", 0.1, 3, 0.05, sliderRow, (v) => updateLookSetting("gyroSensitivity", v))
+    };
+    let toggleRow = createEditorElement("div", null, lookPanel);
+    toggleRow.className = "layoutControlRow";
+    let invertLabel = createEditorElement("label", null, toggleRow);
+    let invertBox = createEditorElement("input", null, invertLabel);
+    invertBox.type = "checkbox";
+    createEditorElement("span", "Invert Y", invertLabel);
+    invertBox.addEventListener("change", function(e) {updateLookSetting("invertY", invertBox.checked)}, false);
+    let gyroLabel = createEditorElement("label", null, toggleRow);
+    let gyroBox = createEditorElement("input", null, gyroLabel);
+    gyroBox.type = "checkbox";
+    createEditorElement("span", "Gyro aiming", gyroLabel);
+    gyroBox.addEventListener("change", function(e) {
+        if(gyroBox.checked != gyroActive()) {
+            toggleGyro();
+        }
+    }, false);
+    lookPanel.refresh = function() {
+        Object.keys(sliders).forEach(function(name) {
+            sliders[name].value = mobileSettings.look[name];
+            sliders[name].title = mobileSettings.look[name];
+        });
+        invertBox.checked = mobileSettings.look.invertY;
+        gyroBox.checked = gyroActive();
+    };
+}
+function refreshLookPanel() {
+    if(lookPanel) {
+        lookPanel.refresh();
+    }
+}
+function openLookPanel() {
+    if(!lookPanel) {
+        buildLookPanel();
+    }
+    lookPanel.hidden = false;
+    refreshLookPanel();
+}
+// GESTURES
+// Bedrock-style touch actions on the canvas: a short tap places/uses (right click), holding still breaks (left click held until release)
+// and a finger on the hotbar picks that slot. Once breaking has started the finger can move to aim without stopping it
+const GESTURE_HOLD_MS = 300;
+const GESTURE_SLOP_VH = 2; // a tap or hold that moves further than this is a camera drag instead
+const DOUBLE_TAP_MS = 300;
+var gesture = {touchId: null, startX: 0, startY: 0, moved: false, timer: null, breaking: false, ring: null, hotbarTouch: null, hotbarSlot: null, lastForwardTap: 0, forwardSprint: false};
+
+// The hotbar is 182x22 GUI pixels at the bottom center. GUI pixels follow Minecraft's own rule: the biggest scale (up to the
+// GUI Scale option) that still leaves at least 320x240 of them
+function hotbarSlotAt(touch) {
+    const canvas = gameCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const limit = mobileSettings.guiScale || 1000;
+    let scale = 1;
+    while(scale < limit && canvas.width / (scale + 1) >= 320 && canvas.height / (scale + 1) >= 240) {
+        scale++;
+    }
+    const guiPixel = scale * rect.width / canvas.width;
+    const x = (touch.clientX - (rect.left + (rect.width - 182 * guiPixel) / 2)) / guiPixel;
+    const y = (rect.bottom - touch.clientY) / guiPixel;
+    if(x < 0 || x >= 182 || y < 0 || y >= 22) {
+        return null;
+    }
+    return Math.min(8, Math.floor(Math.max(0, x - 1) / 20));
+}
+function selectHotbarSlot(slot) {
+    if(slot == null || slot == gesture.hotbarSlot) {
+        return;
+    }
+    gesture.hotbarSlot = slot;
+    keyEvent(String(slot + 1), "keydown");
+    keyEvent(String(slot + 1), "keyup");
+}
+
+function showGestureRing(x, y, state) {
+    if(!gesture.ring) {
+        gesture.ring = document.createElement("div");
+        gesture.ring.id = "gestureRing";
+        gesture.ring.innerHTML = '<svg viewBox="0 0 36 36"><circle cx="18" cy="18" r="15"></circle></svg>';
+        gesture.ring.style.setProperty("--hold-time", GESTURE_HOLD_MS + "ms");
+        document.body.appendChild(gesture.ring);
+    }
+    if(x != null) {
+        gesture.ring.style.left = x + "px";
+        gesture.ring.style.top = y + "px";
+    }
+    gesture.ring.className = state || "";
+}
+
+function gestureStart(e) {
+    if(!mobileSettings.gestures || !window.fakelock || window.layoutEditing) {
+        return;
+    }
+    Array.from(e.changedTouches).forEach(function(touch) {
+        const slot = gesture.hotbarTouch == null ? hotbarSlotAt(touch) : null;
+        if(slot != null) {
+            gesture.hotbarTouch = touch.identifier;
+            gesture.hotbarSlot = null;
+            selectHotbarSlot(slot);
+        } else if(gesture.touchId == null) {
+            gesture.touchId = touch.identifier;
+            gesture.startX = touch.clientX;
+            gesture.startY = touch.clientY;
+            gesture.moved = false;
+            gesture.timer = setTimeout(startBreaking, GESTURE_HOLD_MS);
+            showGestureRing(touch.clientX, touch.clientY, "charging");
+        }
+    });
+}
+function gestureMove(e) {
+    Array.from(e.changedTouches).forEach(function(touch) {
+        if(touch.identifier === gesture.hotbarTouch) {
+            // Sliding along the hotbar keeps picking the slot under the finger
+            selectHotbarSlot(hotbarSlotAt(touch));
+        } else if(touch.identifier === gesture.touchId && !gesture.moved) {
+            const slop = window.innerHeight / 100 * GESTURE_SLOP_VH;
+            if(Math.hypot(touch.clientX - gesture.startX, touch.clientY - gesture.startY) > slop) {
+                gesture.moved = true;
+                if(!gesture.breaking) {
+                    clearTimeout(gesture.timer);
+                    showGestureRing(null, null, "");
+                }
+            }
+        }
+    });
+}
+function gestureEnd(e) {
+    Array.from(e.changedTouches).forEach(function(touch) {
+        if(touch.identifier === gesture.hotbarTouch) {
+            gesture.hotbarTouch = null;
+        } else if(touch.identifier === gesture.touchId) {
+            const tapped = !gesture.breaking && !gesture.moved && e.type == "touchend";
+            releaseGestureTouch();
+            if(tapped && window.fakelock) {
+                mouseEvent(2, "mousedown", gameCanvas);
+                setTimeout(function() {mouseEvent(2, "mouseup", gameCanvas)}, 50);
+            }
+        }
+    });
+}
+function startBreaking() {
+    gesture.breaking = true;
+    showGestureRing(null, null, "breaking");
+    mouseEvent(0, "mousedown", gameCanvas);
+}
+// Lets go of what the tap/hold finger is holding; a finger on the hotbar is tracked separately and stays
+function releaseGestureTouch() {
+    clearTimeout(gesture.timer);
+    if(gesture.breaking) {
+        mouseEvent(0, "mouseup", gameCanvas);
+    }
+    gesture.touchId = null;
+    gesture.breaking = false;
+    if(gesture.ring) {
+        showGestureRing(null, null, "");
+    }
+}
+// Drops every gesture, e.g. when gesture mode is switched off mid-hold
+function releaseGestures() {
+    releaseGestureTouch();
+    gesture.hotbarTouch = null;
+}
+
+// Double-tapping forward (the button, or pushing the joystick forward) sprints until it is let go
+function forwardTapped() {
+    if(!mobileSettings.gestures) {
+        return;
+    }
+    const now = Date.now();
+    if(now - gesture.lastForwardTap < DOUBLE_TAP_MS) {
+        gesture.forwardSprint = true;
+        keyEvent("r", "keydown");
+    }
+    gesture.lastForwardTap = now;
+}
+function forwardReleased() {
+    if(gesture.forwardSprint) {
+        gesture.forwardSprint = false;
+        if(!window.sprintLock) {
+            keyEvent("r", "keyup");
+        }
+    }
+}
+
+// GAMEPAD
+// Polls the first connected controller every frame. In game the left stick walks (W/A/S/D) and the right stick looks around;
+// in menus (no fake pointer lock) the left stick moves an on-screen cursor, the right stick scrolls, and A/B/X click, go back and right-click.
+// Every other button runs the action it's bound to in mobileSettings.gamepadBindings (action -> button index, Standard Gamepad layout)
+const GAMEPAD_BUTTON_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "LS", "RS", "D-pad up", "D-pad down", "D-pad left", "D-pad right", "Home"];
+const GAMEPAD_ACTIONS = {
+    jump: {label: "Jump", keys: [" "]},
+    crouch: {label: "Crouch", keys: ["shift"]},
+    sprint: {label: "Sprint", keys: ["r"]},
+    breakBlock: {label: "Break / attack", mouse: 0},
+    place: {label: "Place / use", mouse: 2},
+    pick: {label: "Pick block", mouse: 1},
+    hotbarPrev: {label: "Hotbar left", wheel: -10},
+    hotbarNext: {label: "Hotbar right", wheel: 10},
+    inventory: {label: "Inventory", keys: ["e"]},
+    drop: {label: "Drop item", keys: ["q"]},
+    chat: {label: "Chat", keys: ["t"]},
+    pause: {label: "Pause / back", keys: ["`"]},
+    perspective: {label: "Perspective", keys: ["f", "5"]}
+};
+const GAMEPAD_DEFAULT_BINDINGS = {jump: 0, crouch: 1, drop: 2, inventory: 3, hotbarPrev: 4, hotbarNext: 5, place: 6, breakBlock: 7, chat: 8, pause: 9, sprint: 10, perspective: 11, pick: 12};
+const GAMEPAD_MENU_BUTTONS = {0: "breakBlock", 1: "pause", 2: "place"};
+const GAMEPAD_DEADZONE = 0.2;
+const GAMEPAD_LOOK_SPEED = 1000; // px per second at full tilt
+const GAMEPAD_CURSOR_SPEED = 800; // px per second at full tilt
+const GAMEPAD_SCROLL_SPEED = 40; // wheel steps per second at full tilt
+const GAMEPAD_PANEL_COMBO = [8, 9]; // Back + Start, whatever they are bound to
+const GAMEPAD_PANEL_HOLD_MS = 1000;
+var gamepad = {running: false, lastFrame: 0, pressed: [], held: {}, keys: {w: false, a: false, s: false, d: false}, inGame: null,
+    cursorX: window.innerWidth / 2, cursorY: window.innerHeight / 2, scrollRest: 0, rebinding: null, cursor: null, comboHeld: 0, comboDone: false};
+
+function gamepadBindings() {
+    return Object.assign({}, GAMEPAD_DEFAULT_BINDINGS, mobileSettings.gamepadBindings);
+}
+function gamepadActionFor(button, inGame) {
+    if(!inGame && GAMEPAD_MENU_BUTTONS[button]) {
+        return GAMEPAD_MENU_BUTTONS[button];
+    }
+    const bindings = gamepadBindings();
+    return Object.keys(bindings).find((action) => bindings[action] === button) || null;
+}
+// Scales past the deadzone back to 0..1 and squares it, so small tilts allow fine aiming
+function readStick(x, y) {
+    const length = Math.hypot(x, y);
+    if(length < GAMEPAD_DEADZONE) {
+        return {x: 0, y: 0, length: 0};
+    }
+    const scaled = Math.min(1, (length - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE));
+    const curved = scaled * scaled;
+    return {x: x / length * curved, y: y / length * curved, length: scaled};
+}
+function gamepadPosition() {
+    return gamepad.inGame ? undefined : {clientX: gamepad.cursorX, clientY: gamepad.cursorY};
+}
+// Returns what to run when the button comes back up
+function pressGamepadAction(name, canvas) {
+    const action = GAMEPAD_ACTIONS[name];
+    if(action.keys) {
+        action.keys.forEach((key) => keyEvent(key, "keydown"));
+        return () => action.keys.slice().reverse().forEach((key) => keyEvent(key, "keyup"));
+    }
+    if(action.mouse != null) {
+        mouseEvent(action.mouse, "mousedown", canvas, gamepadPosition());
+        return () => mouseEvent(action.mouse, "mouseup", canvas, gamepadPosition());
+    }
+    wheelEvent(canvas, action.wheel);
+    return null;
+}
+function releaseGamepad() {
+    Object.keys(gamepad.held).forEach(function(button) {
+        if(gamepad.held[button]) {
+            gamepad.held[button]();
+        }
+    });
+    gamepad.held = {};
+    ["w", "a", "s", "d"].forEach((key) => setHeldKey(gamepad.keys, key, false));
+}
+function showGamepadCursor(visible) {
+    if(!gamepad.cursor) {
+        gamepad.cursor = document.createElement("div", true);
+        gamepad.cursor.id = "gamepadCursor";
+        document.body.appendChild(gamepad.cursor);
+    }
+    gamepad.cursor.hidden = !visible;
+    gamepad.cursor.style.transform = `translate(${gamepad.cursorX}px, ${gamepad.cursorY}px)`;
+}
+
+function updateGamepad(pad, canvas, dt) {
+    const pressed = pad.buttons.map((b) => b.pressed || b.value > 0.5);
+    const previous = gamepad.pressed;
+    gamepad.pressed = pressed;
+
+    if(gamepad.rebinding) {
+        const button = pressed.findIndex((down, i) => down && !previous[i]);
+        if(button >= 0) {
+            bindGamepadButton(gamepad.rebinding, button);
+        }
+        return;
+    }
+    // Holding Back + Start opens (or closes) the rebinding panel, so it can be reached without touching the screen
+    if(GAMEPAD_PANEL_COMBO.every((button) => pressed[button])) {
+        gamepad.comboHeld += dt * 1000;
+        if(gamepad.comboHeld >= GAMEPAD_PANEL_HOLD_MS && !gamepad.comboDone) {
+            gamepad.comboDone = true;
+            if(gamepadPanel && !gamepadPanel.hidden) {
+                gamepadPanel.hidden = true;
+            } else {
+                openGamepadPanel();
+            }
+        }
+    } else {
+        gamepad.comboHeld = 0;
+        gamepad.comboDone = false;
+    }
+    if(window.layoutEditing || (gamepadPanel && !gamepadPanel.hidden) || (lookPanel && !lookPanel.hidden)) {
+        releaseGamepad();
+        showGamepadCursor(false);
+        return;
+    }
+
+    // Buttons mean different things in menus, so nothing may stay held across the switch
+    const inGame = window.fakelock != null;
+    if(inGame != gamepad.inGame) {
+        releaseGamepad();
+        gamepad.inGame = inGame;
+    }
+
+    const left = readStick(pad.axes[0] || 0, pad.axes[1] || 0);
+    const right = readStick(pad.axes[2] || 0, pad.axes[3] || 0);
+    if(inGame) {
+        const keys = left.length ? stickKeys(left.x / Math.hypot(left.x, left.y), left.y / Math.hypot(left.x, left.y)) : {w: false, a: false, s: false, d: false};
+        Object.keys(keys).forEach((key) => setHeldKey(gamepad.keys, key, keys[key]));
+        if(right.length) {
+            lookBy(right.x * GAMEPAD_LOOK_SPEED * dt, right.y * GAMEPAD_LOOK_SPEED * dt);
+        }
+    } else if(left.length || right.length) {
+        const moveX = left.x * GAMEPAD_CURSOR_SPEED * dt;
+        const moveY = left.y * GAMEPAD_CURSOR_SPEED * dt;
+        gamepad.cursorX = Math.min(window.innerWidth - 1, Math.max(0, gamepad.cursorX + moveX));
+        gamepad.cursorY = Math.min(window.innerHeight - 1, Math.max(0, gamepad.cursorY + moveY));
+        if(left.length) {
+            canvas.dispatchEvent(new MouseEvent("mousemove", {clientX: gamepad.cursorX, clientY: gamepad.cursorY, movementX: Math.round(moveX), movementY: Math.round(moveY)}));
+        }
+        gamepad.scrollRest += right.y * GAMEPAD_SCROLL_SPEED * dt;
+        const steps = Math.trunc(gamepad.scrollRest);
+        if(steps) {
+            gamepad.scrollRest -= steps;
+            wheelEvent(canvas, steps * 10);
+        }
+    }
+    showGamepadCursor(!inGame);
+
+    pressed.forEach(function(down, button) {
+        if(down && !previous[button]) {
+            const action = gamepadActionFor(button, inGame);
+            if(action) {
+                gamepad.held[button] = pressGamepadAction(action, canvas);
+            }
+        } else if(!down && previous[button]) {
+            if(gamepad.held[button]) {
+                gamepad.held[button]();
+            }
+            delete gamepad.held[button];
+        }
+    });
+}
+function pollGamepad(time) {
+    const pad = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).find((p) => p && p.connected);
+    if(!pad) {
+        releaseGamepad();
+        showGamepadCursor(false);
+        gamepad.running = false;
+        gamepad.pressed = [];
+        gamepad.lastFrame = 0;
+        refreshGamepadPanel();
+        return;
+    }
+    const dt = gamepad.lastFrame ? Math.min(0.1, (time - gamepad.lastFrame) / 1000) : 0;
+    gamepad.lastFrame = time;
+    const canvas = document.querySelector("canvas");
+    if(canvas) {
+        updateGamepad(pad, canvas, dt);
+    }
+    requestAnimationFrame(pollGamepad);
+}
+window.addEventListener("gamepadconnected", function(e) {
+    refreshGamepadPanel();
+    if(!gamepad.running) {
+        gamepad.running = true;
+        requestAnimationFrame(pollGamepad);
+    }
+});
+
+// Rebinding panel, opened from the layout editor
+var gamepadPanel = null;
+function bindGamepadButton(action, button) {
+    let bindings = gamepadBindings();
+    // The action that had this button takes over the old one, so nothing ends up on two actions
+    const previousOwner = Object.keys(bindings).find((name) => bindings[name] === button);
+    if(previousOwner && previousOwner != action) {
+        bindings[previousOwner] = bindings[action] ?? null;
+    }
+    bindings[action] = button;
+    mobileSettings.gamepadBindings = bindings;
+    saveMobileSettings();
+    gamepad.rebinding = null;
+    refreshGamepadPanel();
+}
+function buildGamepadPanel() {
+    gamepadPanel = createEditorElement("div", null, document.body);
+    gamepadPanel.id = "gamepadPanel";
+    gamepadPanel.className = "editorPanel";
+    let titleRow = createEditorElement("div", null, gamepadPanel);
+    let title = createEditorElement("span", null, titleRow);
+    createEditorElement("button", "Defaults", titleRow).addEventListener("click", function(e) {
+        delete mobileSettings.gamepadBindings;
+        saveMobileSettings();
+        gamepad.rebinding = null;
+        refreshGamepadPanel();
+    }, false);
+    createEditorElement("button", "Close", titleRow).addEventListener("click", function(e) {
+        gamepad.rebinding = null;
+        gamepadPanel.hidden = true;
+    }, false);
+    createEditorElement("div", "In menus: left stick moves the cursor, right stick scrolls, A clicks, B goes back, X right-clicks. Hold Back + Start to open or close this panel.", gamepadPanel).className = "gamepadHint";
+    let bindingRow = createEditorElement("div", null, gamepadPanel);
+    bindingRow.className = "gamepadBindings";
+    let bindingButtons = {};
+    Object.keys(GAMEPAD_ACTIONS).forEach(function(action) {
+        let label = createEditorElement("label", null, bindingRow);
+        createEditorElement("span", GAMEPAD_ACTIONS[action].label, label);
+        bindingButtons[action] = createEditorElement("button", null, label);
+        bindingButtons[action].addEventListener("click", function(e) {
+            gamepad.rebinding = gamepad.rebinding == action ? null : action;
+            refreshGamepadPanel();
+        }, false);
+    });
+    gamepadPanel.refresh = function() {
+        const pad = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).find((p) => p && p.connected);
+        title.textContent = pad ? "Controller: " + pad.id : "No controller found. Connect one and press a button";
+        const bindings = gamepadBindings();
+        Object.keys(bindingButtons).forEach(function(action) {
+            const button = bindings[action];
+            bindingButtons[action].textContent = gamepad.rebinding == action ? "Press a button…"
+                : (button == null ? "Unbound" : (GAMEPAD_BUTTON_NAMES[button] || "Button " + button));
+        });
+    };
+}
+function refreshGamepadPanel() {
+    if(gamepadPanel) {
+        gamepadPanel.refresh();
+    }
+}
+function openGamepadPanel() {
+    if(!gamepadPanel) {
+        buildGamepadPanel();
+    }
+    gamepadPanel.hidden = false;
+    refreshGamepadPanel();
 }
 // CSS for touch screen buttons, along with fixing iOS's issues with 100vh ignoring the naviagtion bar, and actually disabling zoom because safari ignores user-scalable=no :(
 let customStyle = document.createElement("style");
@@ -513,10 +1689,10 @@ customStyle.textContent = `
         box-shadow: none;
         border: none;
 		margin: 1vh;
-        opacity: 0.5;
+        opacity: var(--control-opacity, 0.5);
     }
     .mobileControl:active {
-        opacity: 0.75;
+        opacity: min(1, calc(var(--control-opacity, 0.5) + 0.25));
     }
 	.strafeSize {
       width: 7.5vh;
@@ -534,6 +1710,190 @@ customStyle.textContent = `
     .hide {
         display: none;
     }
+    .layoutButton, .gyroButton {
+        color: white;
+        font-size: 4vh;
+        line-height: 6vh;
+        text-align: center;
+        background-color: rgba(0, 0, 0, 0.6);
+        border-radius: 1vh;
+    }
+    .gyroButton.gyroOn {
+        color: #FFD54A;
+        background-color: rgba(255, 213, 74, 0.25);
+    }
+    .layoutHidden {
+        display: none !important;
+    }
+    .layoutEditing .mobileControl {
+        display: block !important;
+        outline: 0.3vh dashed rgba(255, 255, 255, 0.6);
+    }
+    .layoutEditing .layoutHidden {
+        display: block !important;
+        opacity: 0.15 !important;
+    }
+    .layoutEditing .layoutSelected {
+        outline: 0.4vh solid #FFD54A;
+    }
+    .joystickMode .forwardButton, .joystickMode .leftButton, .joystickMode .rightButton, .joystickMode .backButton,
+    .joystickMode .strafeLeftButton, .joystickMode .strafeRightButton, html:not(.joystickMode) .joystickZone {
+        display: none !important;
+    }
+    .gestureMode .placeButton, .gestureMode .breakButton {
+        display: none !important;
+    }
+    #gestureRing {
+        position: fixed;
+        z-index: 4;
+        width: 9vh;
+        height: 9vh;
+        margin: -4.5vh 0 0 -4.5vh;
+        pointer-events: none;
+        display: none;
+    }
+    #gestureRing.charging, #gestureRing.breaking {
+        display: block;
+    }
+    #gestureRing svg {
+        width: 100%;
+        height: 100%;
+        transform: rotate(-90deg);
+    }
+    #gestureRing circle {
+        fill: none;
+        stroke: rgba(255, 255, 255, 0.85);
+        stroke-width: 3;
+        stroke-dasharray: 94.25;
+        stroke-dashoffset: 94.25;
+    }
+    #gestureRing.charging circle {
+        animation: gestureCharge var(--hold-time) linear forwards;
+    }
+    #gestureRing.breaking circle {
+        stroke: #FFD54A;
+        stroke-dashoffset: 0;
+        animation: gesturePulse 0.6s ease-in-out infinite alternate;
+    }
+    @keyframes gestureCharge {
+        to { stroke-dashoffset: 0; }
+    }
+    @keyframes gesturePulse {
+        to { stroke-width: 1.5; }
+    }
+    .joystickBase {
+        position: absolute;
+        left: 50%;
+        top: 50%;
+        width: 14vh;
+        height: 14vh;
+        margin: -7vh 0 0 -7vh;
+        box-sizing: border-box;
+        border-radius: 50%;
+        border: 0.4vh solid rgba(255, 255, 255, 0.6);
+        background-color: rgba(255, 255, 255, 0.12);
+        pointer-events: none;
+    }
+    .joystickRing {
+        position: absolute;
+        left: 50%;
+        top: 50%;
+        width: 18.2vh;
+        height: 18.2vh;
+        margin: -9.1vh 0 0 -9.1vh;
+        box-sizing: border-box;
+        border-radius: 50%;
+        border: 0.3vh dashed rgba(255, 213, 74, 0.5);
+    }
+    .joystickKnob {
+        position: absolute;
+        left: 50%;
+        top: 50%;
+        width: 7vh;
+        height: 7vh;
+        margin: -3.5vh 0 0 -3.5vh;
+        border-radius: 50%;
+        background-color: rgba(255, 255, 255, 0.7);
+    }
+    .joystickZone:not(.active) .joystickBase {
+        opacity: 0.5;
+    }
+    .joystickZone.sprinting .joystickRing {
+        border-style: solid;
+        border-color: #FFD54A;
+    }
+    .editorPanel {
+        position: fixed;
+        top: 8vh;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 10;
+        max-width: 96vw;
+        padding: 1vh 1.5vh;
+        border-radius: 1.5vh;
+        background-color: rgba(0, 0, 0, 0.8);
+        color: white;
+        font: 2.2vh sans-serif;
+        -webkit-user-select: none;
+        user-select: none;
+    }
+    .editorPanel[hidden] {
+        display: none;
+    }
+    .editorPanel > div {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 1vh;
+    }
+    .editorPanel .layoutControlRow, .editorPanel .layoutSettingsRow {
+        margin-top: 1vh;
+    }
+    .editorPanel button, .editorPanel select {
+        font: inherit;
+        padding: 0.5vh 1.2vh;
+    }
+    .editorPanel label {
+        display: flex;
+        align-items: center;
+        gap: 0.5vh;
+    }
+    .editorPanel label[hidden] {
+        display: none;
+    }
+    #gamepadPanel, #lookPanel {
+        z-index: 11;
+        max-height: 80vh;
+        overflow-y: auto;
+    }
+    #gamepadPanel .gamepadHint {
+        margin-top: 1vh;
+        color: rgba(255, 255, 255, 0.7);
+    }
+    #gamepadPanel .gamepadBindings {
+        margin-top: 1vh;
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(28vh, 1fr));
+    }
+    #gamepadPanel .gamepadBindings label {
+        justify-content: space-between;
+    }
+    #gamepadCursor {
+        position: fixed;
+        left: -1.2vh;
+        top: -1.2vh;
+        width: 2.4vh;
+        height: 2.4vh;
+        z-index: 9;
+        box-sizing: border-box;
+        border-radius: 50%;
+        border: 0.4vh solid #FFD54A;
+        background-color: rgba(255, 255, 255, 0.5);
+        pointer-events: none;
+    }
+    #gamepadCursor[hidden] {
+        display: none;
+    }
     #fileUpload {
     	position: absolute;
     	left: 0;
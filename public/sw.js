@@ -0,0 +1,84 @@
+/* public/sw.js */
+
+// Offline support for the portal. server.js serves this file at /sw.js with the three /*@...*/ values
+// filled in (see serveServiceWorker), so every change to a precached file is a new worker version.
+// Each version has its own cache and only takes over while no game page is open, so a running game
+// never ends up with game.html and the client bundle from different versions.
+
+const VERSION = /*@version*/"dev";
+const PRECACHE = /*@precache*/[]; // [{ url, revision }]
+const GAME_PAGES = /*@games*/[];
+
+const CACHE = "portal-" + VERSION;
+const OFFLINE_URL = "/offline.html";
+const CONFIG_URL = "/api/config";
+const PRECACHED = new Set(PRECACHE.map((e) => e.url));
+
+function gameRunning(){
+  return self.clients.matchAll({ type: "window" })
+    .then((list) => list.some((c) => GAME_PAGES.includes(new URL(c.url).pathname)));
+}
+
+function activateIfIdle(){
+  return gameRunning().then((running) => {
+    if (!running) return self.skipWaiting();
+  });
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then((cache) => cache.addAll([...PRECACHED, CONFIG_URL].map((url) => new Request(url, { cache: "reload" }))))
+      .then(activateIfIdle)
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("portal-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The landing page asks a waiting version to take over once the game tabs are closed
+self.addEventListener("message", (event) => {
+  if (event.data === "activate-if-idle") event.waitUntil(activateIfIdle());
+});
+
+function fromCache(url){
+  return caches.open(CACHE).then((cache) => cache.match(url));
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Network first, so the page still gets its settings offline
+  if (url.pathname === CONFIG_URL) {
+    event.respondWith(
+      fetch(req)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(CONFIG_URL, copy));
+          }
+          return res;
+        })
+        .catch(() => fromCache(CONFIG_URL).then((hit) => hit || Response.error()))
+    );
+    return;
+  }
+
+  // Cache first; the query string is ignored so /game.html?server=... hits too
+  if (PRECACHED.has(url.pathname)) {
+    event.respondWith(fromCache(url.pathname).then((hit) => hit || fetch(req)));
+    return;
+  }
+
+  if (req.mode === "navigate") {
+    event.respondWith(fetch(req).catch(() => fromCache(OFFLINE_URL).then((hit) => hit || Response.error())));
+  }
+});
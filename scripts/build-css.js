@@ -0,0 +1,614 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Generates public/utilities.css: the Tailwind-style utility classes our pages use, so the landing page
+ * doesn't depend on cdn.tailwindcss.com (blocked on a lot of school networks).
+ *
+ *   node scripts/build-css.js                  rewrite public/utilities.css from public/index.html
+ *   node scripts/build-css.js --check          exit 1 if public/utilities.css is out of date (part of `npm test`)
+ *   node scripts/build-css.js a.html b.html    scan these files instead
+ *
+ * Like Tailwind, every token in the file that could be a class is a candidate (class="" attributes and
+ * strings in inline scripts alike) and CSS is only emitted for the ones we know how to build.
+ * This covers the part of Tailwind v3 the site uses: Preflight, layout, spacing, sizing, typography,
+ * colors with /opacity, gradients, borders, shadows, filters, translate, animations, arbitrary [values]
+ * and [property:value], plus sm/md/lg/xl/2xl and hover/focus/active variants. Add to THEME or RULES
+ * when the page starts using something new; run with --verbose to see candidates that were skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_FILE = path.join(ROOT, 'public', 'utilities.css');
+const DEFAULT_INPUTS = [path.join(ROOT, 'public', 'index.html')];
+
+// ---- Theme (Tailwind v3 defaults we need + the site's own extensions) ----
+
+const THEME = {
+  screens: { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' },
+  fontFamily: {
+    sans: 'ui-sans-serif, system-ui, sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"',
+    mono: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace',
+    outfit: '"Outfit", ui-sans-serif, system-ui, "Segoe UI", Roboto, Arial, sans-serif',
+  },
+  colors: {
+    transparent: 'transparent',
+    current: 'currentColor',
+    white: '#ffffff',
+    black: '#000000',
+    gray: { 300: '#d1d5db', 400: '#9ca3af', 500: '#6b7280', 600: '#4b5563' },
+    red: { 300: '#fca5a5', 400: '#f87171', 500: '#ef4444', 600: '#dc2626' },
+    amber: { 300: '#fcd34d', 400: '#fbbf24', 500: '#f59e0b', 600: '#d97706' },
+    emerald: { 300: '#6ee7b7', 400: '#34d399', 500: '#10b981', 600: '#059669' },
+    blue: { 300: '#93c5fd', 400: '#60a5fa', 500: '#3b82f6', 600: '#2563eb' },
+    rose: { 300: '#fda4af', 400: '#fb7185', 500: '#f43f5e', 600: '#e11d48' },
+    // Site palette
+    bg0: '#070A12',
+    bg1: '#0B1020',
+    card: 'rgba(255,255,255,.06)',
+    stroke: 'rgba(255,255,255,.12)',
+    stroke2: 'rgba(255,255,255,.18)',
+    gold: '#FFD54A',
+    mint: '#34D399',
+    sky: '#60A5FA',
+  },
+  fontSize: {
+    xs: ['0.75rem', '1rem'],
+    sm: ['0.875rem', '1.25rem'],
+    base: ['1rem', '1.5rem'],
+    lg: ['1.125rem', '1.75rem'],
+    xl: ['1.25rem', '1.75rem'],
+    '2xl': ['1.5rem', '2rem'],
+    '3xl': ['1.875rem', '2.25rem'],
+    '4xl': ['2.25rem', '2.5rem'],
+    '5xl': ['3rem', '1'],
+    '6xl': ['3.75rem', '1'],
+    '7xl': ['4.5rem', '1'],
+  },
+  fontWeight: {
+    thin: 100, extralight: 200, light: 300, normal: 400, medium: 500, semibold: 600, bold: 700, extrabold: 800, black: 900,
+  },
+  lineHeight: { none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2' },
+  letterSpacing: { tighter: '-0.05em', tight: '-0.025em', normal: '0em', wide: '0.025em', wider: '0.05em', widest: '0.1em' },
+  borderRadius: {
+    none: '0px', sm: '0.125rem', DEFAULT: '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px',
+  },
+  maxWidth: {
+    xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem',
+    '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem', full: '100%', none: 'none',
+  },
+  boxShadow: {
+    sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    DEFAULT: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+    none: '0 0 #0000',
+    // Site shadows
+    soft: '0 18px 60px rgba(0,0,0,.60)',
+    lift: '0 18px 38px rgba(0,0,0,.52)',
+    glow: '0 0 35px rgba(255,213,74,.18)',
+  },
+  blur: { none: '0', sm: '4px', DEFAULT: '8px', md: '12px', lg: '16px', xl: '24px', '2xl': '40px', '3xl': '64px' },
+  dropShadow: {
+    DEFAULT: 'drop-shadow(0 1px 2px rgb(0 0 0 / 0.1)) drop-shadow(0 1px 1px rgb(0 0 0 / 0.06))',
+    md: 'drop-shadow(0 4px 3px rgb(0 0 0 / 0.07)) drop-shadow(0 2px 2px rgb(0 0 0 / 0.06))',
+    lg: 'drop-shadow(0 10px 8px rgb(0 0 0 / 0.04)) drop-shadow(0 4px 3px rgb(0 0 0 / 0.1))',
+    none: 'drop-shadow(0 0 #0000)',
+  },
+  keyframes: {
+    spin: 'to { transform: rotate(360deg); }',
+    pulse: '50% { opacity: .5; }',
+    floaty: '0%, 100% { transform: translateY(0px); } 50% { transform: translateY(-8px); }',
+    shimmer: '0% { background-position: 0% 50%; } 100% { background-position: 100% 50%; }',
+    pulseSoft: '0%, 100% { opacity: .35; } 50% { opacity: .6; }',
+  },
+  animation: {
+    none: 'none',
+    spin: 'spin 1s linear infinite',
+    pulse: 'pulse 2s cubic-bezier(0.4, 0, 0.6, 1) infinite',
+    floaty: 'floaty 4.8s ease-in-out infinite',
+    shimmer: 'shimmer 10s ease-in-out infinite',
+    pulseSoft: 'pulseSoft 4.6s ease-in-out infinite',
+  },
+};
+
+const PSEUDO_VARIANTS = {
+  hover: ':hover',
+  focus: ':focus',
+  'focus-visible': ':focus-visible',
+  active: ':active',
+  disabled: ':disabled',
+};
+
+// Base layer, condensed from Tailwind's Preflight (itself built on modern-normalize)
+const PREFLIGHT = `*, ::before, ::after {
+  box-sizing: border-box;
+  border-width: 0;
+  border-style: solid;
+  border-color: #e5e7eb;
+  --tw-translate-x: 0;
+  --tw-translate-y: 0;
+  --tw-blur: ;
+  --tw-drop-shadow: ;
+}
+html {
+  line-height: 1.5;
+  -webkit-text-size-adjust: 100%;
+  tab-size: 4;
+  font-family: ${THEME.fontFamily.sans};
+  -webkit-tap-highlight-color: transparent;
+}
+body { margin: 0; line-height: inherit; }
+hr { height: 0; color: inherit; border-top-width: 1px; }
+h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: inherit; }
+a { color: inherit; text-decoration: inherit; }
+b, strong { font-weight: bolder; }
+code, kbd, samp, pre { font-family: ${THEME.fontFamily.mono}; font-size: 1em; }
+small { font-size: 80%; }
+table { text-indent: 0; border-color: inherit; border-collapse: collapse; }
+button, input, optgroup, select, textarea {
+  font-family: inherit;
+  font-feature-settings: inherit;
+  font-variation-settings: inherit;
+  font-size: 100%;
+  font-weight: inherit;
+  line-height: inherit;
+  letter-spacing: inherit;
+  color: inherit;
+  margin: 0;
+  padding: 0;
+}
+button, select { text-transform: none; }
+button, input:where([type='button']), input:where([type='reset']), input:where([type='submit']) {
+  -webkit-appearance: button;
+  background-color: transparent;
+  background-image: none;
+}
+:-moz-focusring { outline: auto; }
+summary { display: list-item; }
+blockquote, dl, dd, h1, h2, h3, h4, h5, h6, hr, figure, p, pre { margin: 0; }
+fieldset { margin: 0; padding: 0; }
+legend { padding: 0; }
+ol, ul, menu { list-style: none; margin: 0; padding: 0; }
+dialog { padding: 0; }
+textarea { resize: vertical; }
+input::placeholder, textarea::placeholder { opacity: 1; color: #9ca3af; }
+button, [role="button"] { cursor: pointer; }
+:disabled { cursor: default; }
+img, svg, video, canvas, audio, iframe, embed, object { display: block; vertical-align: middle; }
+img, video { max-width: 100%; height: auto; }
+[hidden]:where(:not([hidden="until-found"])) { display: none; }
+`;
+
+// ---- Value helpers ----
+
+// [a_b] -> "a b" (Tailwind's arbitrary value syntax; \_ keeps a literal underscore)
+function arbitrary(v) {
+  const m = /^\[(.+)\]$/.exec(v);
+  return m ? m[1].replace(/\\_/g, '\0').replace(/_/g, ' ').replace(/\0/g, '_') : null;
+}
+
+function spacing(v, neg) {
+  let out = arbitrary(v);
+  if (out == null) {
+    if (v === 'px') out = '1px';
+    else if (v === 'full') out = '100%';
+    else if (v === 'auto') out = 'auto';
+    else if (/^\d+\/\d+$/.test(v)) {
+      const [a, b] = v.split('/').map(Number);
+      out = `${+(a / b * 100).toFixed(6)}%`;
+    } else if (/^\d+(\.5)?$/.test(v)) out = Number(v) === 0 ? '0px' : `${Number(v) * 0.25}rem`;
+    else return null;
+  }
+  if (!neg) return out;
+  return out === 'auto' ? null : `calc(${out} * -1)`;
+}
+
+function themeColor(name) {
+  if (Object.hasOwn(THEME.colors, name) && typeof THEME.colors[name] === 'string') return THEME.colors[name];
+  const m = /^([a-z]+)-(\d+)$/.exec(name);
+  const family = m && THEME.colors[m[1]];
+  return (family && typeof family === 'object' && family[m[2]]) || null;
+}
+
+function isColorLike(v) {
+  return /^(#|rgba?\(|hsla?\(|color-mix\()/i.test(v) || v === 'transparent' || v === 'currentColor';
+}
+
+// "white/55", "gold", "emerald-400", "[#FFD54A]", "[rgba(1,2,3,.4)]"
+function color(v) {
+  let alpha = null;
+  const slash = v.lastIndexOf('/');
+  if (slash > 0 && !v.endsWith(']')) {
+    const a = v.slice(slash + 1);
+    alpha = arbitrary(a) ?? (/^\d+$/.test(a) && Number(a) <= 100 ? String(Number(a) / 100) : null);
+    if (alpha == null) return null;
+    v = v.slice(0, slash);
+  }
+  const raw = arbitrary(v);
+  const base = raw != null ? (isColorLike(raw) ? raw : null) : themeColor(v);
+  if (!base) return null;
+  if (alpha == null) return base;
+
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(base);
+  if (hex) {
+    const h = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+    return `rgb(${r} ${g} ${b} / ${alpha})`;
+  }
+  return `color-mix(in srgb, ${base} ${+(Number(alpha) * 100).toFixed(2)}%, transparent)`;
+}
+
+function scale(map, v) {
+  if (v === undefined) return map.DEFAULT ?? null;
+  return arbitrary(v) ?? (Object.hasOwn(map, v) ? map[v] : null);
+}
+
+// ---- Rules (output follows this order, so later groups win ties like Tailwind's) ----
+
+const SIDES = { '': [''], x: ['-left', '-right'], y: ['-top', '-bottom'], t: ['-top'], r: ['-right'], b: ['-bottom'], l: ['-left'] };
+
+const STATIC = {
+  'pointer-events-none': { 'pointer-events': 'none' },
+  'pointer-events-auto': { 'pointer-events': 'auto' },
+  visible: { visibility: 'visible' },
+  invisible: { visibility: 'hidden' },
+  static: { position: 'static' },
+  fixed: { position: 'fixed' },
+  absolute: { position: 'absolute' },
+  relative: { position: 'relative' },
+  sticky: { position: 'sticky' },
+  block: { display: 'block' },
+  'inline-block': { display: 'inline-block' },
+  inline: { display: 'inline' },
+  flex: { display: 'flex' },
+  'inline-flex': { display: 'inline-flex' },
+  grid: { display: 'grid' },
+  'inline-grid': { display: 'inline-grid' },
+  contents: { display: 'contents' },
+  hidden: { display: 'none' },
+  'flex-1': { flex: '1 1 0%' },
+  'flex-auto': { flex: '1 1 auto' },
+  'flex-none': { flex: 'none' },
+  'shrink-0': { 'flex-shrink': '0' },
+  grow: { 'flex-grow': '1' },
+  'cursor-pointer': { cursor: 'pointer' },
+  'select-none': { 'user-select': 'none' },
+  'list-none': { 'list-style-type': 'none' },
+  'list-disc': { 'list-style-type': 'disc' },
+  'list-decimal': { 'list-style-type': 'decimal' },
+  'flex-row': { 'flex-direction': 'row' },
+  'flex-col': { 'flex-direction': 'column' },
+  'flex-wrap': { 'flex-wrap': 'wrap' },
+  'flex-nowrap': { 'flex-wrap': 'nowrap' },
+  'place-items-center': { 'place-items': 'center' },
+  'items-start': { 'align-items': 'flex-start' },
+  'items-end': { 'align-items': 'flex-end' },
+  'items-center': { 'align-items': 'center' },
+  'items-baseline': { 'align-items': 'baseline' },
+  'items-stretch': { 'align-items': 'stretch' },
+  'justify-start': { 'justify-content': 'flex-start' },
+  'justify-end': { 'justify-content': 'flex-end' },
+  'justify-center': { 'justify-content': 'center' },
+  'justify-between': { 'justify-content': 'space-between' },
+  'justify-around': { 'justify-content': 'space-around' },
+  'overflow-auto': { overflow: 'auto' },
+  'overflow-hidden': { overflow: 'hidden' },
+  'overflow-visible': { overflow: 'visible' },
+  'overflow-x-auto': { 'overflow-x': 'auto' },
+  'overflow-x-hidden': { 'overflow-x': 'hidden' },
+  'overflow-y-auto': { 'overflow-y': 'auto' },
+  'overflow-y-hidden': { 'overflow-y': 'hidden' },
+  'whitespace-normal': { 'white-space': 'normal' },
+  'whitespace-nowrap': { 'white-space': 'nowrap' },
+  'whitespace-pre': { 'white-space': 'pre' },
+  'whitespace-pre-line': { 'white-space': 'pre-line' },
+  'whitespace-pre-wrap': { 'white-space': 'pre-wrap' },
+  'break-words': { 'overflow-wrap': 'break-word' },
+  'break-all': { 'word-break': 'break-all' },
+  truncate: { overflow: 'hidden', 'text-overflow': 'ellipsis', 'white-space': 'nowrap' },
+  'bg-clip-text': { '-webkit-background-clip': 'text', 'background-clip': 'text' },
+  'text-left': { 'text-align': 'left' },
+  'text-center': { 'text-align': 'center' },
+  'text-right': { 'text-align': 'right' },
+  uppercase: { 'text-transform': 'uppercase' },
+  lowercase: { 'text-transform': 'lowercase' },
+  capitalize: { 'text-transform': 'capitalize' },
+  underline: { 'text-decoration-line': 'underline' },
+  antialiased: { '-webkit-font-smoothing': 'antialiased', '-moz-osx-font-smoothing': 'grayscale' },
+  transition: {
+    'transition-property': 'color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform, filter, -webkit-backdrop-filter, backdrop-filter',
+    'transition-timing-function': 'cubic-bezier(0.4, 0, 0.2, 1)',
+    'transition-duration': '150ms',
+  },
+  'transition-none': { 'transition-property': 'none' },
+};
+
+const FILTER = 'var(--tw-blur) var(--tw-drop-shadow)';
+const GRADIENT_DIRS = { t: 'top', tr: 'top right', r: 'right', br: 'bottom right', b: 'bottom', bl: 'bottom left', l: 'left', tl: 'top left' };
+
+// [pattern, (match, negative) => declarations | null]; a string pattern is looked up in STATIC
+const RULES = [
+  ['static'],
+  [/^(inset|inset-x|inset-y|top|right|bottom|left)-(.+)$/, (m, neg) => {
+    const v = spacing(m[2], neg);
+    if (v == null) return null;
+    if (m[1] === 'inset-x') return { left: v, right: v };
+    if (m[1] === 'inset-y') return { top: v, bottom: v };
+    return { [m[1]]: v };
+  }],
+  [/^z-(.+)$/, (m, neg) => {
+    const v = arbitrary(m[1]) ?? (/^\d+$/.test(m[1]) ? m[1] : m[1] === 'auto' ? 'auto' : null);
+    return v == null ? null : { 'z-index': neg ? `calc(${v} * -1)` : v };
+  }],
+  [/^col-span-(\d+|full)$/, (m) => ({ 'grid-column': m[1] === 'full' ? '1 / -1' : `span ${m[1]} / span ${m[1]}` })],
+  [/^m([xytrbl]?)-(.+)$/, (m, neg) => {
+    const v = spacing(m[2], neg);
+    return v == null ? null : Object.fromEntries(SIDES[m[1]].map(s => [`margin${s}`, v]));
+  }],
+  [/^(w|h|min-w|min-h)-(.+)$/, (m) => {
+    const prop = { w: 'width', h: 'height', 'min-w': 'min-width', 'min-h': 'min-height' }[m[1]];
+    const named = { screen: m[1].endsWith('w') ? '100vw' : '100vh', min: 'min-content', max: 'max-content', fit: 'fit-content' };
+    const v = named[m[2]] ?? spacing(m[2]);
+    return v == null ? null : { [prop]: v };
+  }],
+  [/^max-w-(.+)$/, (m) => {
+    const v = scale(THEME.maxWidth, m[1]);
+    return v == null ? null : { 'max-width': v };
+  }],
+  [/^translate-([xy])-(.+)$/, (m, neg) => {
+    const v = spacing(m[2], neg);
+    return v == null ? null : {
+      [`--tw-translate-${m[1]}`]: v,
+      transform: 'translate(var(--tw-translate-x), var(--tw-translate-y))',
+    };
+  }],
+  [/^animate-(.+)$/, (m) => {
+    const v = scale(THEME.animation, m[1]);
+    return v == null ? null : { animation: v };
+  }],
+  [/^grid-cols-(\d+)$/, (m) => ({ 'grid-template-columns': `repeat(${m[1]}, minmax(0, 1fr))` })],
+  [/^gap-([xy]-)?(.+)$/, (m) => {
+    const v = spacing(m[2]);
+    if (v == null) return null;
+    return { [m[1] ? (m[1] === 'x-' ? 'column-gap' : 'row-gap') : 'gap']: v };
+  }],
+  [/^rounded(?:-(.+))?$/, (m) => {
+    const v = scale(THEME.borderRadius, m[1]);
+    return v == null ? null : { 'border-radius': v };
+  }],
+  [/^border(?:-([xytrbl]))?(?:-(\d+))?$/, (m) => {
+    const w = `${m[2] ?? 1}px`;
+    return Object.fromEntries(SIDES[m[1] || ''].map(s => [`border${s}-width`, w]));
+  }],
+  [/^border-(.+)$/, (m) => {
+    const v = color(m[1]);
+    return v == null ? null : { 'border-color': v };
+  }],
+  [/^bg-gradient-to-(t|tr|r|br|b|bl|l|tl)$/, (m) => ({
+    'background-image': `linear-gradient(to ${GRADIENT_DIRS[m[1]]}, var(--tw-gradient-stops))`,
+  })],
+  [/^bg-(.+)$/, (m) => {
+    const c = color(m[1]);
+    if (c != null) return { 'background-color': c };
+    const raw = arbitrary(m[1]);
+    if (raw && /(gradient|url)\(/.test(raw)) return { 'background-image': raw };
+    return null;
+  }],
+  [/^from-(.+)$/, (m) => {
+    const c = color(m[1]);
+    return c == null ? null : {
+      '--tw-gradient-from': `${c} var(--tw-gradient-from-position, )`,
+      '--tw-gradient-to': 'rgb(255 255 255 / 0) var(--tw-gradient-to-position, )',
+      '--tw-gradient-stops': 'var(--tw-gradient-from), var(--tw-gradient-to)',
+    };
+  }],
+  [/^via-(.+)$/, (m) => {
+    const c = color(m[1]);
+    return c == null ? null : {
+      '--tw-gradient-to': 'rgb(255 255 255 / 0) var(--tw-gradient-to-position, )',
+      '--tw-gradient-stops': `var(--tw-gradient-from), ${c} var(--tw-gradient-via-position, ), var(--tw-gradient-to)`,
+    };
+  }],
+  [/^to-(.+)$/, (m) => {
+    const c = color(m[1]);
+    return c == null ? null : { '--tw-gradient-to': `${c} var(--tw-gradient-to-position, )` };
+  }],
+  [/^p([xytrbl]?)-(.+)$/, (m) => {
+    const v = spacing(m[2]);
+    return v == null ? null : Object.fromEntries(SIDES[m[1]].map(s => [`padding${s}`, v]));
+  }],
+  [/^font-(.+)$/, (m) => {
+    if (Object.hasOwn(THEME.fontFamily, m[1])) return { 'font-family': THEME.fontFamily[m[1]] };
+    if (Object.hasOwn(THEME.fontWeight, m[1])) return { 'font-weight': String(THEME.fontWeight[m[1]]) };
+    return null;
+  }],
+  [/^text-(.+)$/, (m) => {
+    if (Object.hasOwn(THEME.fontSize, m[1])) {
+      const [size, lineHeight] = THEME.fontSize[m[1]];
+      return { 'font-size': size, 'line-height': lineHeight };
+    }
+    const raw = arbitrary(m[1]);
+    if (raw != null && !isColorLike(raw)) return { 'font-size': raw };
+    const c = color(m[1]);
+    return c == null ? null : { color: c };
+  }],
+  [/^leading-(.+)$/, (m) => {
+    const v = scale(THEME.lineHeight, m[1]) ?? (/^\d+$/.test(m[1]) ? spacing(m[1]) : null);
+    return v == null ? null : { 'line-height': v };
+  }],
+  [/^tracking-(.+)$/, (m) => {
+    const v = scale(THEME.letterSpacing, m[1]);
+    return v == null ? null : { 'letter-spacing': v };
+  }],
+  [/^opacity-(.+)$/, (m) => {
+    const v = arbitrary(m[1]) ?? (/^\d+$/.test(m[1]) && Number(m[1]) <= 100 ? String(Number(m[1]) / 100) : null);
+    return v == null ? null : { opacity: v };
+  }],
+  [/^shadow(?:-(.+))?$/, (m) => {
+    const v = scale(THEME.boxShadow, m[1]);
+    return v == null ? null : { 'box-shadow': v };
+  }],
+  [/^blur(?:-(.+))?$/, (m) => {
+    const v = scale(THEME.blur, m[1]);
+    return v == null ? null : { '--tw-blur': `blur(${v})`, filter: FILTER };
+  }],
+  [/^drop-shadow(?:-(.+))?$/, (m) => {
+    const v = scale(THEME.dropShadow, m[1]);
+    return v == null ? null : { '--tw-drop-shadow': v, filter: FILTER };
+  }],
+  [/^backdrop-blur(?:-(.+))?$/, (m) => {
+    const v = scale(THEME.blur, m[1]);
+    return v == null ? null : { '-webkit-backdrop-filter': `blur(${v})`, 'backdrop-filter': `blur(${v})` };
+  }],
+  [/^duration-(\d+)$/, (m) => ({ 'transition-duration': `${m[1]}ms` })],
+  // [property:value]
+  [/^\[([a-z-]+):(.+)\]$/, (m) => ({ [m[1]]: arbitrary(`[${m[2]}]`) })],
+];
+
+// ---- Candidates -> CSS ----
+
+// Splits "md:hover:text-white" on colons outside [brackets]
+function splitVariants(token) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < token.length; i++) {
+    const c = token[i];
+    if (c === '[') depth++;
+    else if (c === ']') depth--;
+    else if (c === ':' && depth === 0) {
+      parts.push(token.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(token.slice(start));
+  return parts;
+}
+
+function cssEscape(cls) {
+  let out = cls.replace(/[^a-zA-Z0-9_-]/g, c => `\\${c}`);
+  if (/^-?\d/.test(out)) out = out.replace(/\d/, d => `\\3${d} `);
+  return out;
+}
+
+function compile(token) {
+  const parts = splitVariants(token);
+  const utility = parts.pop();
+  let media = null;
+  let pseudo = '';
+  for (const v of parts) {
+    if (Object.hasOwn(THEME.screens, v) && !media && !pseudo) media = v;
+    else if (Object.hasOwn(PSEUDO_VARIANTS, v)) pseudo += PSEUDO_VARIANTS[v];
+    else return null;
+  }
+
+  const neg = utility.startsWith('-') && !utility.startsWith('-[');
+  const name = neg ? utility.slice(1) : utility;
+  for (const [index, [pattern, build]] of RULES.entries()) {
+    let decls = null;
+    if (typeof pattern === 'string') {
+      if (!neg && Object.hasOwn(STATIC, name)) decls = STATIC[name];
+    } else {
+      const m = pattern.exec(name);
+      if (m) decls = build(m, neg);
+    }
+    if (decls) {
+      return {
+        token,
+        index,
+        media,
+        selector: `.${cssEscape(token)}${pseudo}`,
+        decls,
+        animation: /^animate-(.+)$/.exec(name)?.[1],
+      };
+    }
+  }
+  return null;
+}
+
+function candidates(source) {
+  const out = new Set();
+  for (const t of source.split(/[\s"'`<>=\\]+/)) {
+    if (t && t.length <= 200 && /^[-a-z0-9[!@]/i.test(t)) out.add(t);
+  }
+  return out;
+}
+
+function renderRule(rule) {
+  const body = Object.entries(rule.decls).map(([p, v]) => `  ${p}: ${v};`).join('\n');
+  return `${rule.selector} {\n${body}\n}`;
+}
+
+function build(inputs) {
+  const seen = new Set();
+  const skipped = [];
+  const rules = [];
+  for (const file of inputs) {
+    for (const token of candidates(fs.readFileSync(file, 'utf8'))) {
+      if (seen.has(token)) continue;
+      seen.add(token);
+      const rule = compile(token);
+      if (rule) rules.push(rule);
+      else if (/^[a-z-]+(-[a-z0-9./[\]#%(),_]+)*$/i.test(token) && token.includes('-')) skipped.push(token);
+    }
+  }
+
+  const screenOrder = [null, ...Object.keys(THEME.screens)];
+  rules.sort((a, b) => (
+    screenOrder.indexOf(a.media) - screenOrder.indexOf(b.media) ||
+    (a.selector.includes(':') - b.selector.includes(':')) ||
+    a.index - b.index ||
+    (a.token < b.token ? -1 : a.token > b.token ? 1 : 0)
+  ));
+
+  const sections = [
+    `/* Generated by scripts/build-css.js from ${inputs.map(f => path.relative(ROOT, f)).join(', ')}. Do not edit; rerun the script. */`,
+    PREFLIGHT.trimEnd(),
+  ];
+  const animations = [...new Set(rules.map(r => r.animation).filter(Boolean))].sort();
+  for (const a of animations) {
+    const name = /^(\S+)/.exec(THEME.animation[a] || '')?.[1];
+    if (name && THEME.keyframes[name]) sections.push(`@keyframes ${name} { ${THEME.keyframes[name]} }`);
+  }
+  for (const screen of screenOrder) {
+    const group = rules.filter(r => r.media === screen);
+    if (!group.length) continue;
+    const css = group.map(renderRule).join('\n');
+    sections.push(screen ? `@media (min-width: ${THEME.screens[screen]}) {\n${css.replace(/^/gm, '  ')}\n}` : css);
+  }
+  return { css: sections.join('\n\n') + '\n', count: rules.length, skipped };
+}
+
+// ---- CLI ----
+
+function main(argv) {
+  const flags = new Set(argv.filter(a => a.startsWith('--')));
+  const files = argv.filter(a => !a.startsWith('--')).map(f => path.resolve(f));
+  const inputs = files.length ? files : DEFAULT_INPUTS;
+  const { css, count, skipped } = build(inputs);
+
+  if (flags.has('--verbose') && skipped.length) {
+    console.log(`skipped (not a known utility): ${skipped.sort().join(' ')}`);
+  }
+
+  if (flags.has('--check')) {
+    const current = fs.existsSync(OUT_FILE) ? fs.readFileSync(OUT_FILE, 'utf8') : '';
+    if (current !== css) {
+      console.error(`${path.relative(ROOT, OUT_FILE)} is out of date; run: npm run build:css`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`${path.relative(ROOT, OUT_FILE)} is up to date (${count} utilities)`);
+    return;
+  }
+
+  fs.writeFileSync(OUT_FILE, css);
+  console.log(`wrote ${path.relative(ROOT, OUT_FILE)}: ${count} utilities, ${css.length} bytes`);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Generates public/fonts.css and public/fonts/: the Outfit font and the Font Awesome icons the landing page
+ * uses, self-hosted so it doesn't need cdnjs or Google Fonts (blocked on a lot of school networks, and
+ * unreachable offline). Sources are the devDependencies @fontsource-variable/outfit and
+ * @fortawesome/fontawesome-free; run `npm install` first.
+ *
+ *   node scripts/build-fonts.js                  rewrite public/fonts.css and public/fonts/ from public/index.html
+ *   node scripts/build-fonts.js --check          exit 1 if they are out of date (part of `npm test`)
+ *   node scripts/build-fonts.js a.html b.html    scan these files instead
+ *
+ * As in build-css.js, every fa-<name> token in the files is a candidate (markup and inline scripts alike).
+ * The icon fonts are cut down to just those glyphs; only the style classes (fa-solid, fa-regular,
+ * fa-brands) and the icons are emitted, not the sizing/animation helpers. Run with --verbose to see
+ * fa-* tokens that are not icons.
+ *
+ * The output is committed: the server has no build step, and it reads fonts.css at startup for the
+ * service worker's precache list. Rerun after adding an icon to the page (or bumping either package).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_CSS = path.join(ROOT, 'public', 'fonts.css');
+const OUT_DIR = path.join(ROOT, 'public', 'fonts');
+const DEFAULT_INPUTS = [path.join(ROOT, 'public', 'index.html')];
+
+const FA_DIR = path.join(ROOT, 'node_modules', '@fortawesome', 'fontawesome-free');
+const OUTFIT_DIR = path.join(ROOT, 'node_modules', '@fontsource-variable', 'outfit');
+
+const FA_STYLE_CLASSES = new Set(['fa-solid', 'fa-regular', 'fa-brands']);
+const FA_FONTS = [
+  { file: 'fa-solid-900.woff2', family: 'Font Awesome 6 Free', weight: 900 },
+  { file: 'fa-regular-400.woff2', family: 'Font Awesome 6 Free', weight: 400 },
+  { file: 'fa-brands-400.woff2', family: 'Font Awesome 6 Brands', weight: 400 },
+];
+
+const FA_BASE = `.fa-solid, .fa-regular, .fa-brands {
+  -moz-osx-font-smoothing: grayscale;
+  -webkit-font-smoothing: antialiased;
+  display: var(--fa-display, inline-block);
+  font-style: normal;
+  font-variant: normal;
+  line-height: 1;
+  text-rendering: auto;
+}
+.fa-solid, .fa-regular { font-family: 'Font Awesome 6 Free'; }
+.fa-solid { font-weight: 900; }
+.fa-regular { font-weight: 400; }
+.fa-brands { font-family: 'Font Awesome 6 Brands'; font-weight: 400; }`;
+
+function requirePackage(dir, name) {
+  if (!fs.existsSync(dir)) {
+    console.error(`${name} is missing; run: npm install`);
+    process.exit(1);
+  }
+}
+
+// name -> codepoint (e.g. "bolt" -> 0xf0e7), from the ".fa-bolt::before { content: "\f0e7"; }" rules
+// (brand icons are only listed in brands.css)
+function faIcons() {
+  const css = ['fontawesome.css', 'brands.css'].map(f => fs.readFileSync(path.join(FA_DIR, 'css', f), 'utf8')).join('\n');
+  const icons = new Map();
+  for (const m of css.matchAll(/\.fa-([a-z0-9-]+)::?before\s*\{\s*content:\s*"\\([0-9a-f]+)";\s*\}/g)) {
+    icons.set(m[1], parseInt(m[2], 16));
+  }
+  return icons;
+}
+
+function faVersion() {
+  return JSON.parse(fs.readFileSync(path.join(FA_DIR, 'package.json'), 'utf8')).version;
+}
+
+// Outfit's @font-face blocks, renamed from "Outfit Variable" to the "Outfit" the pages ask for
+function outfitFaces() {
+  const css = fs.readFileSync(path.join(OUTFIT_DIR, 'index.css'), 'utf8');
+  return [...css.matchAll(/@font-face\s*\{[^}]*\}/g)].map((m) => {
+    const block = m[0];
+    const src = /url\(\.\/files\/([^)]+)\)/.exec(block)[1];
+    return {
+      src,
+      file: src.replace(/-wght-normal/, ''),
+      css: block
+        .replace(/font-family:\s*'Outfit Variable'/, "font-family: 'Outfit'")
+        .replace(/url\(\.\/files\/[^)]+\)/, `url(/fonts/${src.replace(/-wght-normal/, '')})`),
+    };
+  });
+}
+
+async function build(inputs) {
+  requirePackage(FA_DIR, '@fortawesome/fontawesome-free');
+  requirePackage(OUTFIT_DIR, '@fontsource-variable/outfit');
+  const subsetFont = require('subset-font');
+
+  const tokens = new Set();
+  for (const file of inputs) {
+    for (const m of fs.readFileSync(file, 'utf8').matchAll(/\bfa-[a-z0-9-]+/g)) tokens.add(m[0]);
+  }
+  const icons = faIcons();
+  const used = [...tokens].filter(t => icons.has(t.slice(3))).sort();
+  const skipped = [...tokens].filter(t => !icons.has(t.slice(3)) && !FA_STYLE_CLASSES.has(t)).sort();
+  const text = used.map(t => String.fromCodePoint(icons.get(t.slice(3)))).join('');
+
+  const files = new Map();
+  const faces = [];
+  for (const font of FA_FONTS) {
+    const source = fs.readFileSync(path.join(FA_DIR, 'webfonts', font.file));
+    files.set(font.file, await subsetFont(source, text, { targetFormat: 'woff2' }));
+    faces.push(`@font-face {
+  font-family: '${font.family}';
+  font-style: normal;
+  font-weight: ${font.weight};
+  font-display: block;
+  src: url(/fonts/${font.file}) format('woff2');
+}`);
+  }
+  const outfit = outfitFaces();
+  for (const face of outfit) files.set(face.file, fs.readFileSync(path.join(OUTFIT_DIR, 'files', face.src)));
+  files.set('LICENSE-fontawesome.txt', fs.readFileSync(path.join(FA_DIR, 'LICENSE.txt')));
+  files.set('LICENSE-outfit.txt', fs.readFileSync(path.join(OUTFIT_DIR, 'LICENSE')));
+
+  const iconRules = used.map(t => `.${t}::before { content: "\\${icons.get(t.slice(3)).toString(16)}"; }`);
+  const css = [
+    `/* Generated by scripts/build-fonts.js from ${inputs.map(f => path.relative(ROOT, f)).join(', ')}. Do not edit; rerun the script. */`,
+    `/* Outfit: SIL OFL 1.1, see /fonts/LICENSE-outfit.txt */\n${outfit.map(f => f.css).join('\n\n')}`,
+    `/* Font Awesome Free ${faVersion()} (https://fontawesome.com), subset to the icons below.\n   Icons: CC BY 4.0, fonts: SIL OFL 1.1, code: MIT; see /fonts/LICENSE-fontawesome.txt */\n${faces.join('\n\n')}`,
+    FA_BASE,
+    iconRules.join('\n'),
+  ].join('\n\n') + '\n';
+
+  return { css, files, count: used.length, skipped };
+}
+
+// ---- CLI ----
+
+function outOfDate(css, files) {
+  const stale = [];
+  if (!fs.existsSync(OUT_CSS) || fs.readFileSync(OUT_CSS, 'utf8') !== css) stale.push(OUT_CSS);
+  for (const [name, data] of files) {
+    const file = path.join(OUT_DIR, name);
+    if (!fs.existsSync(file) || !fs.readFileSync(file).equals(data)) stale.push(file);
+  }
+  const extra = fs.existsSync(OUT_DIR) ? fs.readdirSync(OUT_DIR).filter(f => !files.has(f)) : [];
+  return [...stale, ...extra.map(f => path.join(OUT_DIR, f))];
+}
+
+async function main(argv) {
+  const flags = new Set(argv.filter(a => a.startsWith('--')));
+  const inputs = argv.filter(a => !a.startsWith('--')).map(f => path.resolve(f));
+  const { css, files, count, skipped } = await build(inputs.length ? inputs : DEFAULT_INPUTS);
+
+  if (flags.has('--verbose') && skipped.length) {
+    console.log(`skipped (not an icon): ${skipped.join(' ')}`);
+  }
+
+  if (flags.has('--check')) {
+    const stale = outOfDate(css, files);
+    if (stale.length) {
+      console.error(`out of date: ${stale.map(f => path.relative(ROOT, f)).join(', ')}; run: npm run build:fonts`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`${path.relative(ROOT, OUT_CSS)} and ${path.relative(ROOT, OUT_DIR)}/ are up to date (${count} icons)`);
+    return;
+  }
+
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const [name, data] of files) fs.writeFileSync(path.join(OUT_DIR, name), data);
+  fs.writeFileSync(OUT_CSS, css);
+  const bytes = [...files.values()].reduce((n, d) => n + d.length, 0);
+  console.log(`wrote ${path.relative(ROOT, OUT_CSS)} (${count} icons) and ${files.size} files in ${path.relative(ROOT, OUT_DIR)}/, ${bytes} bytes`);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,131 +1,2161 @@
 'use strict';
 
 const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream');
+const zlib = require('zlib');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 
-const PORT = process.env.PORT || 10000;
-const UPSTREAM_URL = 'wss://PromiseLand-CKMC.eagler.host/';
-const PUBLIC_DIR = path.join(__dirname, 'public');
+const PUBLIC_DIR = process.env.PUBLIC_DIR ? path.resolve(process.env.PUBLIC_DIR) : path.join(__dirname, 'public');
+
+// Like Number(process.env.X) || def, but lets an explicit 0 through (0 = limit disabled) and refuses to start
+// on a value that isn't a number instead of quietly using the default
+function envNumber(name, def) {
+  const v = process.env[name];
+  if (v == null || v.trim() === '') return def;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new Error(`${name} must be a number (got ${JSON.stringify(v)})`);
+  return n;
+}
+
+// ---- Config file ----
+
+/**
+ * config.json (CONFIG_FILE, default ./config.json): the settings the proxy and the landing page share.
+ * Checked against CONFIG_SCHEMA at startup; every bad field is reported and the process refuses to start.
+ * Fields with an "env" name can be overridden by that environment variable (env wins over the file).
+ * Only "site" is public: it's what the page gets from GET /api/config.
+ */
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+
+const WS_URL = { type: 'url', protocols: ['ws:', 'wss:'] };
+const HTTP_URL = { type: 'url', protocols: ['http:', 'https:'] };
+const PORT_NUMBER = { type: 'int', min: 1, max: 65535 };
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  props: {
+    port: { ...PORT_NUMBER, env: 'PORT', default: 10000 },
+    // Single upstream; UPSTREAMS / UPSTREAMS_FILE take precedence when set (see below)
+    upstream: { ...WS_URL, env: 'UPSTREAM_URL', optional: true },
+    preview: {
+      type: 'object',
+      props: {
+        publicBaseUrl: { ...HTTP_URL, env: 'PUBLIC_BASE_URL' },
+        title: { type: 'string', env: 'OG_TITLE' },
+        siteName: { type: 'string', env: 'OG_SITE_NAME' },
+        description: { type: 'string', env: 'OG_DESCRIPTION' },
+        ogImage: { ...HTTP_URL, env: 'OG_IMAGE' },
+        themeColor: { type: 'color', env: 'THEME_COLOR', default: '#070A12' },
+        // Per-page overrides keyed by URL path ("/", "/game.html"); unset fields fall back to the ones above
+        pages: {
+          type: 'map',
+          default: {},
+          keys: { pattern: /^\//, hint: 'URL paths starting with /' },
+          values: {
+            type: 'object',
+            props: {
+              title: { type: 'string', optional: true },
+              description: { type: 'string', optional: true },
+              ogImage: { ...HTTP_URL, optional: true },
+              type: { type: 'string', optional: true }, // og:type, default "website"
+              noindex: { type: 'boolean', optional: true },
+            },
+          },
+        },
+      },
+    },
+    site: {
+      type: 'object',
+      props: {
+        name: { type: 'string' },
+        tagline: { type: 'string', default: '' },
+        version: { type: 'string' },
+        wss: WS_URL,
+        // With more than one entry the page shows a server picker; "route" is the proxy route name for /api/status
+        servers: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            props: {
+              name: { type: 'string' },
+              wss: WS_URL,
+              route: { type: 'string', optional: true },
+            },
+          },
+        },
+        javaHost: { type: 'string', default: '' },
+        javaPort: { ...PORT_NUMBER, default: 25565 },
+        bedrockHost: { type: 'string', default: '' },
+        bedrockPort: { ...PORT_NUMBER, default: 19132 },
+        discord: { ...HTTP_URL, optional: true },
+        youtube: { ...HTTP_URL, optional: true },
+        desktopPortalPath: { type: 'path', default: '/game.html' },
+        mobilePortalPath: { type: 'path', default: '/mobile.html' },
+      },
+    },
+    // Installable app: /site.webmanifest and the offline service worker at /sw.js
+    pwa: {
+      type: 'object',
+      default: {},
+      props: {
+        // false serves a /sw.js that unregisters itself and drops its caches
+        enabled: { type: 'boolean', env: 'PWA_ENABLED', default: true },
+        shortName: { type: 'string', optional: true }, // home screen label, default site.name
+        display: { type: 'string', oneOf: ['fullscreen', 'standalone', 'minimal-ui', 'browser'], default: 'standalone' },
+        backgroundColor: { type: 'color', default: '#070A12' },
+        // Precached on top of the landing page, its styles, the portals and the mobile controls,
+        // e.g. the Eagler client bundle; files that don't exist are skipped
+        precache: { type: 'array', default: [], items: { type: 'path' } },
+      },
+    },
+    // Response headers for every request; the Content-Security-Policy itself only goes on HTML pages
+    security: {
+      type: 'object',
+      default: {},
+      props: {
+        csp: {
+          type: 'object',
+          default: {},
+          props: {
+            // report-only: violations are only reported to /csp-report, nothing is blocked
+            mode: { type: 'string', oneOf: ['enforce', 'report-only', 'off'], env: 'CSP_MODE', default: 'report-only' },
+            // Merged over CSP_DEFAULTS per directive, e.g. { "connect-src": ["'self'", "wss:"] }; [] removes one
+            directives: {
+              type: 'map',
+              default: {},
+              keys: { pattern: /^[a-z-]+$/, hint: 'CSP directive names like "script-src"' },
+              values: { type: 'array', items: { type: 'string' } },
+            },
+          },
+        },
+        // Always enforced (frame-ancestors is ignored in report-only policies), plus X-Frame-Options for old browsers
+        frameAncestors: { type: 'array', default: ["'self'"], items: { type: 'string' } },
+        // Merged over PERMISSIONS_POLICY_DEFAULTS, e.g. { "camera": "()", "gamepad": "(self)" }
+        permissionsPolicy: {
+          type: 'map',
+          default: {},
+          keys: { pattern: /^[a-z-]+$/, hint: 'feature names like "camera"' },
+          values: { type: 'string' },
+        },
+        coop: { type: 'string', oneOf: ['same-origin', 'same-origin-allow-popups', 'unsafe-none'], default: 'same-origin' },
+        // require-corp / credentialless give crossOriginIsolated (SharedArrayBuffer) but block CDN assets without CORP
+        coep: { type: 'string', oneOf: ['unsafe-none', 'require-corp', 'credentialless'], default: 'unsafe-none' },
+      },
+    },
+  },
+};
+
+function describeConfigType(schema) {
+  switch (schema.type) {
+    case 'int': return `an integer from ${schema.min} to ${schema.max}`;
+    case 'url': return `a ${schema.protocols.map(p => p.slice(0, -1)).join('/')} URL`;
+    case 'path': return 'a path starting with /';
+    case 'string': return schema.oneOf ? `one of ${schema.oneOf.map(v => JSON.stringify(v)).join(', ')}` : 'a string';
+    case 'color': return 'a hex color like #070A12';
+    case 'boolean': return 'true or false';
+    case 'array': return 'an array';
+    case 'map':
+    case 'object': return 'an object';
+    default: return 'a string';
+  }
+}
+
+function isValidConfigValue(schema, value) {
+  switch (schema.type) {
+    case 'int':
+      return Number.isInteger(value) && value >= schema.min && value <= schema.max;
+    case 'url':
+      try {
+        return typeof value === 'string' && schema.protocols.includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    case 'path':
+      return typeof value === 'string' && value.startsWith('/');
+    case 'color':
+      return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'map':
+    case 'object':
+      return value != null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === 'string' && (!schema.oneOf || schema.oneOf.includes(value));
+  }
+}
+
+// Returns the checked value (defaults filled in, env applied); problems are pushed onto errors
+function checkConfigValue(schema, value, where, errors) {
+  let label = where || '(root)';
+  const envValue = schema.env ? (process.env[schema.env] || '').trim() : '';
+  if (envValue) {
+    if (schema.type === 'int') value = Number(envValue);
+    else if (schema.type === 'boolean') value = { true: true, 1: true, false: false, 0: false }[envValue.toLowerCase()] ?? envValue;
+    else value = envValue;
+    label = `${where} (from env ${schema.env})`;
+  }
+
+  if (value === undefined || value === null) {
+    if (!('default' in schema)) {
+      if (!schema.optional) errors.push(`${label}: required`);
+      return undefined;
+    }
+    value = structuredClone(schema.default); // still checked below so nested defaults get filled in
+  }
+  if (!isValidConfigValue(schema, value)) {
+    errors.push(`${label}: must be ${describeConfigType(schema)} (got ${JSON.stringify(envValue || value)})`);
+    return undefined;
+  }
+
+  if (schema.type === 'array') {
+    return value.map((item, i) => checkConfigValue(schema.items, item, `${where}[${i}]`, errors));
+  }
+  if (schema.type === 'map') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (!schema.keys.pattern.test(key)) errors.push(`${where}.${key}: keys must be ${schema.keys.hint}`);
+      else out[key] = checkConfigValue(schema.values, v, `${where}["${key}"]`, errors);
+    }
+    return out;
+  }
+  if (schema.type === 'object') {
+    const out = {};
+    for (const key of Object.keys(value)) {
+      if (!(key in schema.props) && !key.startsWith('$')) errors.push(`${where ? where + '.' : ''}${key}: unknown setting`);
+    }
+    for (const [key, sub] of Object.entries(schema.props)) {
+      const v = checkConfigValue(sub, value[key], where ? `${where}.${key}` : key, errors);
+      if (v !== undefined) out[key] = v;
+    }
+    return out;
+  }
+  return value;
+}
+
+function loadConfig() {
+  let raw = {};
+  if (fs.existsSync(CONFIG_FILE)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (err) {
+      throw new Error(`${CONFIG_FILE}: ${err.message}`);
+    }
+  } else if (process.env.CONFIG_FILE) {
+    throw new Error(`CONFIG_FILE ${CONFIG_FILE} does not exist`);
+  }
+
+  const errors = [];
+  const config = checkConfigValue(CONFIG_SCHEMA, raw, '', errors);
+  if (errors.length) throw new Error(`invalid config in ${CONFIG_FILE}:\n  ${errors.join('\n  ')}`);
+  return config;
+}
+
+const CONFIG = loadConfig();
+const PORT = CONFIG.port;
+
+/**
+ * Upstream Eagler backends.
+ * - UPSTREAMS env: JSON array, or a comma-separated list of wss:// URLs
+ * - otherwise UPSTREAMS_FILE (default ./upstreams.json) if it exists
+ * - otherwise the single "upstream" from config.json (or UPSTREAM_URL)
+ * Each entry: { "url": "wss://...", "priority": 0, "weight": 1 }
+ * Lower priority numbers are preferred; weight splits traffic inside a priority.
+ */
+const UPSTREAM_URL = CONFIG.upstream || '';
+const UPSTREAMS_FILE = process.env.UPSTREAMS_FILE || path.join(__dirname, 'upstreams.json');
+const UPSTREAM_PROBE_INTERVAL_MS = envNumber('UPSTREAM_PROBE_INTERVAL_MS', 15000); // 0 = only probe at startup
+const UPSTREAM_PROBE_TIMEOUT_MS = envNumber('UPSTREAM_PROBE_TIMEOUT_MS', 5000); // 0 = no timeout
+const UPSTREAM_HANDSHAKE_TIMEOUT_MS = envNumber('UPSTREAM_HANDSHAKE_TIMEOUT_MS', 15000); // 0 = no timeout
+
+/**
+ * WebSocket routing (creative / events / ... servers behind the same proxy)
+ * - ROUTES env: JSON array, otherwise ROUTES_FILE (default ./routes.json) if it exists
+ * Each route: { "name": "creative", "path": "/creative", "host": "creative.example.com", "upstreams": [...] }
+ * - path matches the exact path or anything below it (/creative, /creative/...)
+ * - host matches the Host header (port ignored); "*.example.com" matches subdomains
+ * - a route with both must match both; first match wins
+ * - "upstreams" uses the same entry format as above
+ * Anything that matches no route goes to the default route (the upstream list above).
+ */
+const ROUTES_FILE = process.env.ROUTES_FILE || path.join(__dirname, 'routes.json');
+
+// /api/status: live Eagler MOTD query against the upstream, cached briefly so page loads don't hammer it
+const STATUS_CACHE_MS = Number(process.env.STATUS_CACHE_MS) || 5000;
+const STATUS_TIMEOUT_MS = Number(process.env.STATUS_TIMEOUT_MS) || 5000;
+
+/**
+ * Ban list (BANS_FILE, default ./bans.json), reloaded automatically when the file changes:
+ * {
+ *   "deny":  ["203.0.113.7", "198.51.100.0/24", { "rule": "2001:db8::/32", "note": "griefing 2024-05" }],
+ *   "allow": ["192.0.2.10"],   // always let these through, even if a deny rule matches
+ *   "allowOnly": false,        // true = refuse everyone not in "allow" (lockdown)
+ *   "http": false              // also refuse plain HTTP requests, not just WebSocket upgrades
+ * }
+ */
+const BANS_FILE = process.env.BANS_FILE || path.join(__dirname, 'bans.json');
+
+/**
+ * Abuse limits (set any of them to 0 to disable)
+ * - CONN_PER_IP: concurrent WebSocket sessions per client IP
+ * - CONN_PER_MINUTE: new WebSocket sessions per client IP per minute
+ * - MSGS_PER_SEC / BYTES_PER_SEC: client -> upstream traffic per session (token bucket, 2s burst)
+ * - MAX_PAYLOAD_BYTES: largest single client frame (ws closes with 1009 above it)
+ * Sessions that hit a limit are closed with 1008 (policy violation) and a readable reason.
+ */
+const LIMITS = {
+  CONN_PER_IP: envNumber('LIMIT_CONN_PER_IP', 8),
+  CONN_PER_MINUTE: envNumber('LIMIT_CONN_PER_MINUTE', 30),
+  MSGS_PER_SEC: envNumber('LIMIT_MSGS_PER_SEC', 400),
+  BYTES_PER_SEC: envNumber('LIMIT_BYTES_PER_SEC', 1024 * 1024),
+  MAX_PAYLOAD_BYTES: envNumber('LIMIT_MAX_PAYLOAD_BYTES', 2 * 1024 * 1024),
+};
+const CLOSE_POLICY = 1008;
+const CLOSE_TRY_AGAIN = 1013;
+const CLOSE_SERVICE_RESTART = 1012;
+
+/**
+ * Graceful shutdown (SIGTERM / SIGINT): stop taking new WebSocket upgrades, report
+ * "draining" on /health, give sessions SHUTDOWN_GRACE_MS to end on their own, then close
+ * the rest with 1012 (service restart). Render waits 30s before SIGKILL, so keep this below that.
+ */
+const SHUTDOWN_GRACE_MS = envNumber('SHUTDOWN_GRACE_MS', 25000);
+
+/**
+ * Flow control between client and upstream
+ * - when the receiving side has more than HIGH_WATER bytes buffered, stop reading from the sender;
+ *   resume once it drains below LOW_WATER
+ * - SESSION_MAX: a session whose buffers still grow past this is closed (the pause can't stop frames already read)
+ * - TOTAL_MAX: across all sessions; the most-buffered sessions are closed until we're back under it
+ */
+const FLOW = {
+  HIGH_WATER: envNumber('FLOW_HIGH_WATER_BYTES', 1024 * 1024),
+  LOW_WATER: envNumber('FLOW_LOW_WATER_BYTES', 256 * 1024),
+  SESSION_MAX: envNumber('FLOW_SESSION_MAX_BYTES', 16 * 1024 * 1024),
+  TOTAL_MAX: envNumber('FLOW_TOTAL_MAX_BYTES', 256 * 1024 * 1024),
+};
 
 /**
- * Preview / favicon config (Discord pulls these from the HTML at your site URL)
+ * Admin API + dashboard at /admin. Disabled unless ADMIN_TOKEN is set;
+ * requests must send "Authorization: Bearer <ADMIN_TOKEN>".
+ */
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+/**
+ * Client IP resolution
+ * - TRUSTED_PROXIES: comma-separated IPs/CIDRs of reverse proxies in front of us (Render, Cloudflare, nginx...)
+ *   X-Forwarded-For is only believed when the TCP peer is one of these; defaults to loopback + private ranges.
+ * - FORWARD_CLIENT_IP: how the upstream learns the real player IP
+ *   off | header (X-Forwarded-For + X-Real-IP on the upstream handshake) | proxy-v1 | proxy-v2 (HAProxy PROXY protocol)
+ *   Only turn on proxy-v1/v2 if the upstream expects it, otherwise it will reject every connection.
+ */
+const TRUSTED_PROXIES = process.env.TRUSTED_PROXIES ??
+  '127.0.0.0/8,::1/128,10.0.0.0/8,172.16.0.0/12,192.168.0.0/16,fc00::/7';
+const FORWARD_CLIENT_IP = (process.env.FORWARD_CLIENT_IP || 'off').toLowerCase();
+if (!['off', 'header', 'proxy-v1', 'proxy-v2'].includes(FORWARD_CLIENT_IP)) {
+  throw new Error(`FORWARD_CLIENT_IP must be off, header, proxy-v1 or proxy-v2 (got ${JSON.stringify(FORWARD_CLIENT_IP)})`);
+}
+
+// /metrics (Prometheus text format). Set METRICS_TOKEN to require "Authorization: Bearer <token>"; without it
+// the endpoint is public, so upstream health is labelled by position only and the (internal) URLs are left out.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+/**
+ * Native HTTPS / WSS (optional; leave unset when Render, Cloudflare or nginx terminate TLS)
+ * - TLS_CERT_FILE / TLS_KEY_FILE: default certificate (PEM). Setting both switches PORT to HTTPS.
+ * - TLS_SNI: JSON map of extra certs by hostname, "*.example.com" allowed:
+ *   {"mc.promiselandmc.com": {"cert": "/etc/ssl/mc.pem", "key": "/etc/ssl/mc.key"}}
+ * - HTTP_REDIRECT_PORT: also listen here with plain HTTP and 301 everything to https://
+ * - HSTS_MAX_AGE: seconds for Strict-Transport-Security (0 disables); HSTS_INCLUDE_SUBDOMAINS=1 to add it
+ * Certificate files are watched and reloaded in place when renewed; no restart needed.
+ */
+const TLS_CERT_FILE = process.env.TLS_CERT_FILE || '';
+const TLS_KEY_FILE = process.env.TLS_KEY_FILE || '';
+const TLS_SNI = process.env.TLS_SNI ? JSON.parse(process.env.TLS_SNI) : {};
+const TLS_ENABLED = !!(TLS_CERT_FILE && TLS_KEY_FILE);
+const HTTP_REDIRECT_PORT = envNumber('HTTP_REDIRECT_PORT', 0);
+const HSTS_MAX_AGE = envNumber('HSTS_MAX_AGE', 15552000); // 180 days
+const HSTS_INCLUDE_SUBDOMAINS = process.env.HSTS_INCLUDE_SUBDOMAINS === '1';
+
+/**
+ * Logging
+ * - LOG_LEVEL: debug | info | warn | error (default info)
+ * - LOG_FORMAT: json (one object per line, default) | text
+ * - ACCESS_LOG_FILE: optional path; gets one JSON line per HTTP request and per finished WebSocket session
+ *   rotated at ACCESS_LOG_MAX_BYTES (default 10MB), keeping ACCESS_LOG_KEEP old files (file.1 ... file.N)
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LOG_LEVELS.info;
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+const ACCESS_LOG_FILE = process.env.ACCESS_LOG_FILE || '';
+const ACCESS_LOG_MAX_BYTES = envNumber('ACCESS_LOG_MAX_BYTES', 10 * 1024 * 1024);
+const ACCESS_LOG_KEEP = envNumber('ACCESS_LOG_KEEP', 5);
+
+/**
+ * Static files
+ * - HTML/CSS/JS/JSON/SVG are sent brotli or gzip compressed when the client accepts it;
+ *   a sibling file.br / file.gz that is at least as new as file is used as-is, otherwise we compress on the fly
+ * - Files up to STATIC_CACHE_FILE_MAX_BYTES (default 1MB) are kept in memory (raw + compressed variants),
+ *   STATIC_CACHE_MAX_BYTES (default 32MB) in total, least recently used evicted first; 0 disables the cache
+ * - Anything bigger (bgm.ogg etc.) is streamed from disk, with Range/206 support
+ */
+const STATIC_CACHE_MAX_BYTES = envNumber('STATIC_CACHE_MAX_BYTES', 32 * 1024 * 1024);
+const STATIC_CACHE_FILE_MAX_BYTES = envNumber('STATIC_CACHE_FILE_MAX_BYTES', 1024 * 1024);
+const COMPRESS_MIN_BYTES = 1024;
+
+/**
+ * Unknown paths
+ * - SPA_FALLBACK: comma-separated paths answered with index.html when no file matches,
+ *   exact ("/play") or prefix ("/play/*"); empty by default
+ * - Anything else that doesn't exist gets public/404.html (or plain text for non-HTML requests) with status 404
+ */
+const SPA_FALLBACK = (process.env.SPA_FALLBACK || '').split(',').map(s => s.trim()).filter(Boolean);
+const NOT_FOUND_PAGE = path.join(PUBLIC_DIR, '404.html');
+
+/**
+ * Preview / favicon config (Discord pulls these from the HTML at your site URL), from "preview" in config.json
  * IMPORTANT:
- * - PUBLIC_BASE_URL must be the real https URL Discord will fetch (not wss)
- * - OG_IMAGE must be an absolute URL and publicly reachable
+ * - publicBaseUrl (PUBLIC_BASE_URL) must be the real https URL Discord will fetch (not wss)
+ * - ogImage (OG_IMAGE) must be an absolute URL and publicly reachable
  */
 const PREVIEW = {
-  PUBLIC_BASE_URL: (process.env.PUBLIC_BASE_URL || 'https://promiselandmc.com').replace(/\/+$/, ''),
-  TITLE: process.env.OG_TITLE || 'PromiseLand-CKMC | Minecraft Portal',
-  SITE_NAME: process.env.OG_SITE_NAME || 'PromiseLand-CKMC',
-  DESCRIPTION:
-    process.env.OG_DESCRIPTION ||
-    'Chill, Jesus-centered Minecraft community. Join via Eagler (WSS), Java, or Bedrock. Fun • Friendship • Faith.',
-  OG_IMAGE: process.env.OG_IMAGE || 'https://promiselandmc.com/assets/og-image.png',
-  THEME_COLOR: process.env.THEME_COLOR || '#070A12',
+  PUBLIC_BASE_URL: CONFIG.preview.publicBaseUrl.replace(/\/+$/, ''),
+  TITLE: CONFIG.preview.title,
+  SITE_NAME: CONFIG.preview.siteName,
+  DESCRIPTION: CONFIG.preview.description,
+  OG_IMAGE: CONFIG.preview.ogImage,
+  THEME_COLOR: CONFIG.preview.themeColor,
+};
+
+// What GET /api/config hands the landing page
+const PUBLIC_CONFIG = { ...CONFIG.site, statusPath: '/api/status', serviceWorker: CONFIG.pwa.enabled ? '/sw.js' : null };
+
+// {{name}} in HTML files and in the preview strings, filled in at serve time
+const PLACEHOLDERS = {
+  serverName: CONFIG.site.name,
+  version: CONFIG.site.version,
+  tagline: CONFIG.site.tagline,
+  wss: CONFIG.site.wss,
+  // Same formatting as applyConfig in index.html, so the page reads right before (or without) /api/config
+  javaAddress: !CONFIG.site.javaHost || CONFIG.site.javaPort === 25565 ? CONFIG.site.javaHost : `${CONFIG.site.javaHost}:${CONFIG.site.javaPort}`,
+  javaPort: CONFIG.site.javaPort,
+  bedrockAddress: `${CONFIG.site.bedrockHost}:${CONFIG.site.bedrockPort}`,
+  bedrockHost: CONFIG.site.bedrockHost,
+  bedrockPort: CONFIG.site.bedrockPort,
+  siteName: PREVIEW.SITE_NAME,
+  baseUrl: PREVIEW.PUBLIC_BASE_URL,
+};
+
+function log(level, msg, fields) {
+  if ((LOG_LEVELS[level] ?? LOG_LEVELS.info) < LOG_LEVEL) return;
+  const ts = new Date().toISOString();
+  if (LOG_FORMAT === 'text') {
+    console.log(ts, level.toUpperCase().padEnd(5), msg, ...(fields ? [fields] : []));
+    return;
+  }
+  process.stdout.write(JSON.stringify({ ts, level, msg, ...fields }) + '\n');
+}
+
+// Size-rotated JSON-lines access log (see ACCESS_LOG_FILE)
+let accessStream = null;
+let accessBytes = 0;
+
+function openAccessLog() {
+  try { accessBytes = fs.statSync(ACCESS_LOG_FILE).size; } catch { accessBytes = 0; }
+  accessStream = fs.createWriteStream(ACCESS_LOG_FILE, { flags: 'a' });
+  accessStream.on('error', (err) => {
+    log('error', 'access log write failed', { file: ACCESS_LOG_FILE, err: err.message });
+    accessStream = null;
+  });
+}
+
+function rotateAccessLog() {
+  accessStream.end();
+  for (let i = ACCESS_LOG_KEEP - 1; i >= 1; i--) {
+    try { fs.renameSync(`${ACCESS_LOG_FILE}.${i}`, `${ACCESS_LOG_FILE}.${i + 1}`); } catch {}
+  }
+  try {
+    if (ACCESS_LOG_KEEP > 0) fs.renameSync(ACCESS_LOG_FILE, `${ACCESS_LOG_FILE}.1`);
+    else fs.unlinkSync(ACCESS_LOG_FILE);
+  } catch {}
+  openAccessLog();
+}
+
+function accessLog(entry) {
+  if (!accessStream) return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+  const size = Buffer.byteLength(line);
+  if (ACCESS_LOG_MAX_BYTES && accessBytes > 0 && accessBytes + size > ACCESS_LOG_MAX_BYTES) rotateAccessLog();
+  accessBytes += size;
+  accessStream.write(line);
+}
+
+if (ACCESS_LOG_FILE) openAccessLog();
+
+function newConnectionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function readUpstreamList() {
+  const env = (process.env.UPSTREAMS || '').trim();
+  if (env) {
+    if (env.startsWith('[')) return JSON.parse(env);
+    return env.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (fs.existsSync(UPSTREAMS_FILE)) {
+    return JSON.parse(fs.readFileSync(UPSTREAMS_FILE, 'utf8'));
+  }
+  if (UPSTREAM_URL) return [UPSTREAM_URL];
+  throw new Error('no upstream configured: set "upstream" in config.json, UPSTREAM_URL, UPSTREAMS or UPSTREAMS_FILE');
+}
+
+function normalizeUpstreams(list, where) {
+  if (typeof list === 'string') list = [list];
+  if (!Array.isArray(list) || !list.length) throw new Error(`${where}: upstream list must be a non-empty array`);
+
+  return list.map((entry, i) => {
+    const u = typeof entry === 'string' ? { url: entry } : (entry || {});
+    if (!/^wss?:\/\//i.test(String(u.url || ''))) {
+      throw new Error(`${where} upstream #${i}: url must start with ws:// or wss:// (got ${JSON.stringify(u.url)})`);
+    }
+    const weight = u.weight == null ? 1 : Number(u.weight);
+    if (!(weight > 0)) throw new Error(`${where} upstream #${i}: weight must be > 0`);
+    return {
+      url: String(u.url),
+      priority: Number(u.priority) || 0,
+      weight,
+      healthy: true,
+      lastError: null,
+      lastCheck: 0,
+    };
+  });
+}
+
+function readRouteList() {
+  const env = (process.env.ROUTES || '').trim();
+  if (env) return JSON.parse(env);
+  if (fs.existsSync(ROUTES_FILE)) return JSON.parse(fs.readFileSync(ROUTES_FILE, 'utf8'));
+  return [];
+}
+
+function normalizeRoutePath(p) {
+  const out = '/' + String(p).replace(/^\/+|\/+$/g, '');
+  return out.toLowerCase();
+}
+
+function loadRoutes() {
+  const list = readRouteList();
+  if (!Array.isArray(list)) throw new Error('routes must be an array');
+
+  return list.map((r, i) => {
+    const name = String(r?.name || `route${i}`);
+    if (!r || (r.path == null && r.host == null)) throw new Error(`route "${name}": needs a path and/or host`);
+    return {
+      name,
+      path: r.path == null ? null : normalizeRoutePath(r.path),
+      host: r.host == null ? null : String(r.host).toLowerCase(),
+      upstreams: normalizeUpstreams(r.upstreams, `route "${name}"`),
+    };
+  });
+}
+
+const DEFAULT_ROUTE = { name: 'default', path: null, host: null, upstreams: normalizeUpstreams(readUpstreamList(), 'default') };
+const ROUTES = loadRoutes();
+const UPSTREAMS = [...DEFAULT_ROUTE.upstreams, ...ROUTES.flatMap(r => r.upstreams)];
+
+for (const [i, s] of CONFIG.site.servers.entries()) {
+  if (s.route && !ROUTES.some(r => r.name === s.route)) {
+    throw new Error(`invalid config in ${CONFIG_FILE}:\n  site.servers[${i}].route: no route named ${JSON.stringify(s.route)}`);
+  }
+}
+
+function hostMatches(pattern, host) {
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+  return host === pattern;
+}
+
+function pathMatches(prefix, p) {
+  if (prefix === '/') return true;
+  return p === prefix || p.startsWith(prefix + '/');
+}
+
+function resolveRoute(req) {
+  const host = String(req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+  const p = normalizeRoutePath((req.url || '').split('?')[0]);
+
+  for (const r of ROUTES) {
+    if (r.host && !hostMatches(r.host, host)) continue;
+    if (r.path && !pathMatches(r.path, p)) continue;
+    return r;
+  }
+  return DEFAULT_ROUTE;
+}
+
+function markUpstream(target, healthy, err) {
+  if (target.healthy !== healthy) {
+    log(healthy ? 'info' : 'warn', healthy ? 'upstream up' : 'upstream down', { url: target.url, err: err || undefined });
+  }
+  target.healthy = healthy;
+  target.lastError = healthy ? null : (err || 'unknown');
+  target.lastCheck = Date.now();
+}
+
+// Weighted pick from the best (lowest) priority that still has healthy, untried upstreams.
+// When nothing healthy is left, fall back to untried unhealthy ones (the probe may be stale).
+function pickUpstream(pool, tried) {
+  const untried = pool.filter(u => !tried.has(u));
+  if (!untried.length) return null;
+
+  const healthy = untried.filter(u => u.healthy);
+  const candidates = healthy.length ? healthy : untried;
+  const best = Math.min(...candidates.map(u => u.priority));
+  const group = candidates.filter(u => u.priority === best);
+
+  let r = Math.random() * group.reduce((sum, u) => sum + u.weight, 0);
+  for (const u of group) {
+    r -= u.weight;
+    if (r < 0) return u;
+  }
+  return group[group.length - 1];
+}
+
+function probeUpstream(target) {
+  return new Promise((resolve) => {
+    let done = false;
+    const ws = new WebSocket(target.url, {
+      perMessageDeflate: false,
+      handshakeTimeout: UPSTREAM_PROBE_TIMEOUT_MS,
+      ...upstreamForwardOptions(target.url),
+    });
+    const finish = (healthy, err) => {
+      if (done) return;
+      done = true;
+      markUpstream(target, healthy, err);
+      try { ws.terminate(); } catch {}
+      resolve(healthy);
+    };
+    ws.on('open', () => finish(true));
+    ws.on('error', (err) => finish(false, err?.message || String(err)));
+    ws.on('close', () => finish(false, 'closed during probe'));
+  });
+}
+
+function probeAllUpstreams() {
+  return Promise.all(UPSTREAMS.map(probeUpstream));
+}
+
+// ---- Metrics ----
+
+const metricRegistry = [];
+
+function defineMetric(type, name, help, buckets) {
+  const m = { type, name, help, buckets, series: new Map() };
+  metricRegistry.push(m);
+  return m;
+}
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}="${String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+}
+
+function metricSeries(m, labels) {
+  const key = labelKey(labels);
+  let s = m.series.get(key);
+  if (!s) {
+    s = m.type === 'histogram'
+      ? { key, counts: new Array(m.buckets.length).fill(0), sum: 0, count: 0 }
+      : { key, value: 0 };
+    m.series.set(key, s);
+  }
+  return s;
+}
+
+function metricInc(m, labels = {}, v = 1) {
+  metricSeries(m, labels).value += v;
+}
+
+function metricSet(m, labels = {}, v) {
+  metricSeries(m, labels).value = v;
+}
+
+function metricObserve(m, labels = {}, v) {
+  const s = metricSeries(m, labels);
+  m.buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+  s.sum += v;
+  s.count++;
+}
+
+function renderMetrics() {
+  const out = [];
+  const withLabels = (key, extra) => {
+    const all = [key, extra].filter(Boolean).join(',');
+    return all ? `{${all}}` : '';
+  };
+  for (const m of metricRegistry) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type !== 'histogram') {
+        out.push(`${m.name}${withLabels(s.key)} ${s.value}`);
+        continue;
+      }
+      m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${withLabels(s.key, `le="${b}"`)} ${s.counts[i]}`));
+      out.push(`${m.name}_bucket${withLabels(s.key, 'le="+Inf"')} ${s.count}`);
+      out.push(`${m.name}_sum${withLabels(s.key)} ${s.sum}`);
+      out.push(`${m.name}_count${withLabels(s.key)} ${s.count}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+const M = {
+  wsActive: defineMetric('gauge', 'eagler_proxy_ws_active_connections', 'WebSocket sessions currently open'),
+  wsTotal: defineMetric('counter', 'eagler_proxy_ws_connections_total', 'WebSocket sessions accepted'),
+  wsRefused: defineMetric('counter', 'eagler_proxy_ws_refused_total', 'WebSocket upgrades refused before proxying'),
+  wsClosed: defineMetric('counter', 'eagler_proxy_ws_closed_total', 'WebSocket sessions ended, by reason'),
+  wsDuration: defineMetric('histogram', 'eagler_proxy_ws_connection_duration_seconds', 'WebSocket session length',
+    [1, 10, 60, 300, 900, 1800, 3600, 7200, 14400]),
+  handshake: defineMetric('histogram', 'eagler_proxy_upstream_handshake_seconds', 'Time to open the upstream WebSocket',
+    [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+  handshakeFailed: defineMetric('counter', 'eagler_proxy_upstream_handshake_failures_total', 'Upstream handshakes that failed'),
+  upstreamHealthy: defineMetric('gauge', 'eagler_proxy_upstream_healthy', '1 when the upstream passed its last health check'),
+  bytes: defineMetric('counter', 'eagler_proxy_ws_bytes_total', 'WebSocket payload bytes relayed'),
+  messages: defineMetric('counter', 'eagler_proxy_ws_messages_total', 'WebSocket messages relayed'),
+  http: defineMetric('counter', 'eagler_proxy_http_requests_total', 'HTTP requests by status code'),
+  stalled: defineMetric('gauge', 'eagler_proxy_ws_stalled_sessions', 'Sessions with reading paused for backpressure'),
+  stalls: defineMetric('counter', 'eagler_proxy_ws_stalls_total', 'Times a session was paused for backpressure'),
+  buffered: defineMetric('gauge', 'eagler_proxy_ws_buffered_bytes', 'Bytes waiting in send buffers across all sessions'),
+  cspReports: defineMetric('counter', 'eagler_proxy_csp_reports_total', 'CSP violation reports received, by directive'),
+};
+metricSet(M.wsActive, {}, 0);
+
+function serveMetrics(req, res) {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    res.writeHead(401, { 'content-type': 'text/plain; charset=utf-8', 'www-authenticate': 'Bearer' });
+    res.end('Unauthorized');
+    return;
+  }
+  UPSTREAMS.forEach((u, i) => {
+    metricSet(M.upstreamHealthy, METRICS_TOKEN ? { upstream: i, url: u.url } : { upstream: i }, u.healthy ? 1 : 0);
+  });
+  const all = [...sessions.values()];
+  metricSet(M.stalled, {}, all.filter(s => s.stalled()).length);
+  metricSet(M.buffered, {}, all.reduce((sum, s) => sum + s.buffered(), 0));
+  res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8', 'cache-control': 'no-store' });
+  res.end(renderMetrics());
+}
+
+// ---- Admin API ----
+
+// conn id -> live session (filled by the WebSocket handler)
+const sessions = new Map();
+
+const maintenance = {
+  enabled: false,
+  message: process.env.MAINTENANCE_MESSAGE || 'Server maintenance in progress, please try again in a few minutes.',
 };
 
-// Tags injected into every HTML response (index.html, game.html, mobile.html, etc)
-const HEAD_INJECT = `
-
-  <!-- Favicons / app icons -->
-  <link rel="icon" href="/favicon.ico" sizes="any">
-  <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">
-  <link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">
-  <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">
-  <link rel="icon" type="image/png" sizes="192x192" href="/android-chrome-192x192.png">
-  <link rel="icon" type="image/png" sizes="512x512" href="/android-chrome-512x512.png">
-  <link rel="manifest" href="/site.webmanifest">
-  <meta name="theme-color" content="${escapeHtml(PREVIEW.THEME_COLOR)}">
-  <meta name="color-scheme" content="dark">
-
-  <!-- Open Graph (Discord / iMessage / Facebook) -->
-  <meta property="og:type" content="website">
-  <meta property="og:site_name" content="${escapeHtml(PREVIEW.SITE_NAME)}">
-  <meta property="og:title" content="${escapeHtml(PREVIEW.TITLE)}">
-  <meta property="og:description" content="${escapeHtml(PREVIEW.DESCRIPTION)}">
-  <meta property="og:url" content="${escapeHtml(PREVIEW.PUBLIC_BASE_URL + '/')}">
-  <meta property="og:image" content="${escapeHtml(PREVIEW.OG_IMAGE)}">
-  <meta property="og:image:width" content="1200">
-  <meta property="og:image:height" content="630">
-
-  <!-- Twitter -->
-  <meta name="twitter:card" content="summary_large_image">
-  <meta name="twitter:title" content="${escapeHtml(PREVIEW.TITLE)}">
-  <meta name="twitter:description" content="${escapeHtml(PREVIEW.DESCRIPTION)}">
-  <meta name="twitter:image" content="${escapeHtml(PREVIEW.OG_IMAGE)}">
+// Close reasons are capped at 123 bytes by the WebSocket spec
+function closeReason(s) {
+  let out = String(s || '');
+  while (Buffer.byteLength(out) > 123) out = out.slice(0, -1);
+  return out;
+}
+
+function isSendableCloseCode(code) {
+  if (!Number.isInteger(code)) return false;
+  if (code >= 3000 && code <= 4999) return true;
+  return code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code);
+}
+
+function isAdmin(req) {
+  if (!ADMIN_TOKEN) return false;
+  const got = Buffer.from(String(req.headers.authorization || ''));
+  const want = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// Resolves with a plain object (or an array when allowArray is set); anything else is rejected, so handlers
+// can read fields without checking for null, numbers or strings first
+function readJsonBody(req, limit = 16 * 1024, allowArray = false) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > limit) {
+        reject(new Error('body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      if (!size) return resolve({});
+      let body;
+      try { body = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch { return reject(new Error('invalid JSON')); }
+      if (body === null || typeof body !== 'object' || (Array.isArray(body) && !allowArray)) {
+        return reject(new Error(allowArray ? 'body must be a JSON object or array' : 'body must be a JSON object'));
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+function sessionView(s) {
+  return {
+    conn: s.conn,
+    ip: s.ip,
+    path: s.path,
+    route: s.route,
+    protocols: s.protocols,
+    connectedAt: new Date(s.connectedAt).toISOString(),
+    durationMs: Date.now() - s.connectedAt,
+    upstream: s.upstream,
+    bytesIn: s.bytesIn,
+    bytesOut: s.bytesOut,
+  };
+}
+
+// Validated { code, reason } for a kick, or a string error
+function kickParams(body) {
+  const code = body.code == null ? 1000 : Number(body.code);
+  if (!isSendableCloseCode(code)) return 'code must be 1000-1014 (not 1004-1006) or 3000-4999';
+  return { code, reason: closeReason(body.reason || 'Disconnected by an admin') };
+}
+
+/**
+ * GET  /admin/api/sessions                   live sessions
+ * POST /admin/api/sessions/<conn>/kick       { code?, reason? }
+ * POST /admin/api/kick-ip                    { ip, code?, reason? }
+ * GET  /admin/api/maintenance
+ * POST /admin/api/maintenance                { enabled, message? }
+ */
+function serveAdminApi(req, res, urlPath) {
+  if (!ADMIN_TOKEN) return sendJson(res, 404, { error: 'admin API disabled (set ADMIN_TOKEN)' });
+  if (!isAdmin(req)) return sendJson(res, 401, { error: 'unauthorized' });
+
+  const route = urlPath.slice('/admin/api'.length);
+  const fail = (e) => sendJson(res, 400, { error: e.message });
+
+  if (req.method === 'GET' && route === '/sessions') {
+    const list = [...sessions.values()].map(sessionView).sort((a, b) => a.durationMs - b.durationMs);
+    return sendJson(res, 200, { count: list.length, sessions: list, maintenance });
+  }
+
+  const kickMatch = route.match(/^\/sessions\/([0-9a-f]+)\/kick$/);
+  if (req.method === 'POST' && kickMatch) {
+    return readJsonBody(req).then((body) => {
+      const s = sessions.get(kickMatch[1]);
+      if (!s) return sendJson(res, 404, { error: 'no such session' });
+      const p = kickParams(body);
+      if (typeof p === 'string') return sendJson(res, 400, { error: p });
+      log('warn', 'admin kick', { conn: s.conn, ip: s.ip, code: p.code, reason: p.reason });
+      s.close(p.code, p.reason);
+      sendJson(res, 200, { kicked: 1 });
+    }, fail);
+  }
+
+  if (req.method === 'POST' && route === '/kick-ip') {
+    return readJsonBody(req).then((body) => {
+      const ip = normalizeIp(body.ip);
+      if (!ipFamily(ip)) return sendJson(res, 400, { error: 'ip is required' });
+      const p = kickParams(body);
+      if (typeof p === 'string') return sendJson(res, 400, { error: p });
+      const hits = [...sessions.values()].filter(s => s.ip === ip);
+      log('warn', 'admin kick ip', { ip, sessions: hits.length, code: p.code, reason: p.reason });
+      hits.forEach(s => s.close(p.code, p.reason));
+      sendJson(res, 200, { kicked: hits.length });
+    }, fail);
+  }
+
+  if (route === '/maintenance') {
+    if (req.method === 'GET') return sendJson(res, 200, maintenance);
+    if (req.method === 'POST') {
+      return readJsonBody(req).then((body) => {
+        maintenance.enabled = !!body.enabled;
+        if (typeof body.message === 'string' && body.message.trim()) maintenance.message = closeReason(body.message.trim());
+        log('warn', 'maintenance mode', { ...maintenance });
+        sendJson(res, 200, maintenance);
+      }, fail);
+    }
+  }
+
+  sendJson(res, 404, { error: 'not found' });
+}
+
+// ---- Eagler status (MOTD) query ----
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// Eagler sends the server icon as raw 64x64 RGBA pixels; browsers want a PNG
+function rgbaToPng(width, height, rgba) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function stripColorCodes(s) {
+  return String(s).replace(/\u00A7[0-9A-FK-OR]/gi, '');
+}
+
+/**
+ * Opens a short-lived socket to the upstream and performs the Eagler MOTD query:
+ * we send "Accept: MOTD", the server answers with a JSON text frame and, when
+ * data.icon is true, a binary frame holding the 64x64 RGBA icon.
+ */
+function queryEaglerStatus(target) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let sentAt = 0;
+    let result = null;
+    let done = false;
+
+    const ws = new WebSocket(target.url, {
+      perMessageDeflate: false,
+      handshakeTimeout: STATUS_TIMEOUT_MS,
+      ...upstreamForwardOptions(target.url),
+    });
+
+    const finish = (extra) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { ws.terminate(); } catch {}
+      resolve({ upstream: target.url, ...result, ...extra });
+    };
+    const timer = setTimeout(() => {
+      finish(result ? {} : { reachable: false, error: 'timeout' });
+    }, STATUS_TIMEOUT_MS);
+
+    ws.on('open', () => {
+      sentAt = Date.now();
+      ws.send('Accept: MOTD');
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) {
+        let msg;
+        try { msg = JSON.parse(data.toString('utf8')); } catch { return finish({ reachable: true, error: 'bad motd response' }); }
+        if (msg.type !== 'motd' || !msg.data) return finish({ reachable: true, error: `unexpected response type ${msg.type}` });
+
+        const motd = Array.isArray(msg.data.motd) ? msg.data.motd.map(String) : [];
+        result = {
+          reachable: true,
+          latencyMs: Date.now() - sentAt,
+          connectMs: sentAt - started,
+          name: msg.name || null,
+          brand: msg.brand || null,
+          version: msg.vers || null,
+          motd,
+          motdText: motd.map(stripColorCodes).join('\n'),
+          online: Number(msg.data.online) || 0,
+          max: Number(msg.data.max) || 0,
+          players: Array.isArray(msg.data.players) ? msg.data.players.map(stripColorCodes) : [],
+          icon: null,
+        };
+        if (!msg.data.icon) finish({});
+        return;
+      }
+
+      // Icon frame
+      if (!result) return;
+      const side = Math.sqrt(data.length / 4);
+      if (Number.isInteger(side) && side > 0) {
+        result.icon = 'data:image/png;base64,' + rgbaToPng(side, side, data).toString('base64');
+      }
+      finish({});
+    });
+
+    ws.on('error', (err) => finish(result ? {} : { reachable: false, error: err?.message || String(err) }));
+    ws.on('close', () => finish(result ? {} : { reachable: false, error: 'closed before motd' }));
+  });
+}
+
+// route name -> { at, value, pending }
+const statusCache = new Map();
+
+function getUpstreamStatus(route) {
+  const now = Date.now();
+  const hit = statusCache.get(route.name) || {};
+  if (hit.value && now - hit.at < STATUS_CACHE_MS) return Promise.resolve(hit.value);
+  if (hit.pending) return hit.pending;
+
+  const target = pickUpstream(route.upstreams, new Set());
+  const pending = queryEaglerStatus(target).then((value) => {
+    value = { route: route.name, checkedAt: new Date().toISOString(), ...value };
+    statusCache.set(route.name, { at: Date.now(), value, pending: null });
+    return value;
+  });
+  statusCache.set(route.name, { ...hit, pending });
+  return pending;
+}
+
+function serveApiStatus(req, res) {
+  const params = new URLSearchParams((req.url || '').split('?')[1] || '');
+  const name = params.get('route');
+  const route = name ? [...ROUTES, DEFAULT_ROUTE].find(r => r.name === name) : DEFAULT_ROUTE;
+
+  if (!route) {
+    res.writeHead(404, { 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: 'unknown route' }));
+    return;
+  }
+
+  getUpstreamStatus(route).then((status) => {
+    res.writeHead(200, {
+      'content-type': 'application/json; charset=utf-8',
+      'cache-control': `public, max-age=${Math.floor(STATUS_CACHE_MS / 1000)}`,
+    });
+    res.end(JSON.stringify(maintenance.enabled ? { ...status, maintenance: maintenance.message } : status));
+  });
+}
+
+function serveApiConfig(req, res) {
+  res.writeHead(200, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-cache' });
+  res.end(JSON.stringify(PUBLIC_CONFIG));
+}
+
+// ---- Client IPs / PROXY protocol ----
+
+// "::ffff:1.2.3.4" -> "1.2.3.4"; strips brackets and zone ids
+function normalizeIp(ip) {
+  let s = String(ip || '').trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(s)) s = s.slice(7);
+  return s;
+}
+
+function ipFamily(ip) {
+  const v = net.isIP(ip);
+  return v === 4 ? 'ipv4' : v === 6 ? 'ipv6' : null;
+}
+
+// "10.0.0.0/8, 1.2.3.4, fc00::/7" -> net.BlockList
+function parseCidrList(list, where) {
+  const bl = new net.BlockList();
+  const entries = Array.isArray(list) ? list : String(list || '').split(',');
+  for (const raw of entries) {
+    const entry = String(raw).trim();
+    if (!entry) continue;
+    const [addr, bits] = entry.split('/');
+    const ip = normalizeIp(addr);
+    const family = ipFamily(ip);
+    if (!family) throw new Error(`${where}: bad IP/CIDR ${JSON.stringify(entry)}`);
+    if (bits == null) {
+      bl.addAddress(ip, family);
+    } else {
+      const prefix = Number(bits);
+      const max = family === 'ipv4' ? 32 : 128;
+      if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) throw new Error(`${where}: bad prefix in ${JSON.stringify(entry)}`);
+      bl.addSubnet(ip, prefix, family);
+    }
+  }
+  return bl;
+}
+
+function ipInList(bl, ip) {
+  const family = ipFamily(ip);
+  return !!family && bl.check(ip, family);
+}
+
+const TRUSTED_PROXY_LIST = parseCidrList(TRUSTED_PROXIES, 'TRUSTED_PROXIES');
+
+// Walk X-Forwarded-For right to left, skipping our own trusted proxies.
+// Headers are ignored entirely when the TCP peer itself isn't trusted.
+function clientIp(req) {
+  const peer = normalizeIp(req.socket.remoteAddress) || 'unknown';
+  if (!ipInList(TRUSTED_PROXY_LIST, peer)) return peer;
+
+  const hops = (req.headers['x-forwarded-for'] || '').toString()
+    .split(',').map(normalizeIp).filter(ip => ipFamily(ip));
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!ipInList(TRUSTED_PROXY_LIST, hops[i]) || i === 0) return hops[i];
+  }
+  return peer;
+}
+
+function ipToBytes(ip) {
+  if (net.isIPv4(ip)) return Buffer.from(ip.split('.').map(Number));
+
+  let [head, tail = ''] = ip.split('::');
+  const parse = (part) => {
+    if (!part) return [];
+    const groups = part.split(':');
+    const last = groups[groups.length - 1];
+    if (last.includes('.')) {
+      const b = last.split('.').map(Number);
+      groups.splice(-1, 1, ((b[0] << 8) | b[1]).toString(16), ((b[2] << 8) | b[3]).toString(16));
+    }
+    return groups.map(g => parseInt(g, 16));
+  };
+  const h = parse(head);
+  const t = ip.includes('::') ? parse(tail) : [];
+  const words = [...h, ...new Array(8 - h.length - t.length).fill(0), ...t];
+  const out = Buffer.alloc(16);
+  words.forEach((w, i) => out.writeUInt16BE(w, i * 2));
+  return out;
+}
+
+const PROXY_V2_SIGNATURE = Buffer.from([0x0D, 0x0A, 0x0D, 0x0A, 0x00, 0x0D, 0x0A, 0x51, 0x55, 0x49, 0x54, 0x0A]);
+
+/**
+ * HAProxy PROXY protocol header describing the player's connection to us.
+ * Mixed families (e.g. IPv4 player, IPv6 listener) can't be expressed, so those
+ * fall back to UNKNOWN (v1) / LOCAL (v2) and the upstream sees our address.
+ */
+function buildProxyHeader(version, src, srcPort, dst, dstPort) {
+  const family = ipFamily(src);
+  const known = family && family === ipFamily(dst);
+
+  if (version === 1) {
+    if (!known) return Buffer.from('PROXY UNKNOWN\r\n', 'ascii');
+    const proto = family === 'ipv4' ? 'TCP4' : 'TCP6';
+    return Buffer.from(`PROXY ${proto} ${src} ${dst} ${srcPort} ${dstPort}\r\n`, 'ascii');
+  }
+
+  if (!known) return Buffer.concat([PROXY_V2_SIGNATURE, Buffer.from([0x20, 0x00, 0x00, 0x00])]);
+
+  const addrs = Buffer.concat([ipToBytes(src), ipToBytes(dst)]);
+  const ports = Buffer.alloc(4);
+  ports.writeUInt16BE(srcPort & 0xFFFF, 0);
+  ports.writeUInt16BE(dstPort & 0xFFFF, 2);
+  const body = Buffer.concat([addrs, ports]);
+  const hdr = Buffer.from([0x21, family === 'ipv4' ? 0x11 : 0x21, 0, 0]);
+  hdr.writeUInt16BE(body.length, 2);
+  return Buffer.concat([PROXY_V2_SIGNATURE, hdr, body]);
+}
+
+// ws `createConnection` that writes a PROXY header on the raw TCP socket before TLS / the HTTP upgrade
+function proxyProtocolConnect(header, secure) {
+  return (options) => {
+    const raw = net.connect({ host: options.host, port: options.port });
+    raw.write(header);
+    if (!secure) return raw;
+    return tls.connect({
+      socket: raw,
+      servername: net.isIP(options.host) ? undefined : options.host,
+    });
+  };
+}
+
+// Extra ws client options so the upstream learns the real player IP (see FORWARD_CLIENT_IP).
+// Without a req (health probes, status queries) PROXY mode still sends a header, just UNKNOWN/LOCAL.
+function upstreamForwardOptions(url, req, ip) {
+  if (FORWARD_CLIENT_IP === 'header') {
+    return req ? { headers: { 'x-forwarded-for': ip, 'x-real-ip': ip } } : {};
+  }
+  if (FORWARD_CLIENT_IP === 'proxy-v1' || FORWARD_CLIENT_IP === 'proxy-v2') {
+    const version = FORWARD_CLIENT_IP === 'proxy-v1' ? 1 : 2;
+    const header = req
+      ? buildProxyHeader(
+        version,
+        ip,
+        ip === normalizeIp(req.socket.remoteAddress) ? req.socket.remotePort : 0,
+        normalizeIp(req.socket.localAddress),
+        req.socket.localPort,
+      )
+      : buildProxyHeader(version, null, 0, null, 0);
+    return { createConnection: proxyProtocolConnect(header, url.toLowerCase().startsWith('wss:')) };
+  }
+  return {};
+}
+
+// ---- Ban list ----
+
+function compileBanRules(list, where) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`${where} must be an array`);
+  return list.map((entry) => {
+    const rule = typeof entry === 'string' ? entry : String(entry?.rule || '');
+    return { rule, note: entry?.note || undefined, list: parseCidrList([rule], where) };
+  });
+}
+
+function compileBans(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('bans file must be a JSON object');
+  return {
+    deny: compileBanRules(raw.deny, 'deny'),
+    allow: compileBanRules(raw.allow, 'allow'),
+    allowOnly: !!raw.allowOnly,
+    http: !!raw.http,
+  };
+}
+
+let bans = compileBans({});
+
+function loadBans() {
+  if (!fs.existsSync(BANS_FILE)) {
+    bans = compileBans({});
+    return;
+  }
+  try {
+    bans = compileBans(JSON.parse(fs.readFileSync(BANS_FILE, 'utf8')));
+    log('info', 'bans loaded', { file: BANS_FILE, deny: bans.deny.length, allow: bans.allow.length, allowOnly: bans.allowOnly, http: bans.http });
+  } catch (e) {
+    // Keep the previous lists rather than dropping every ban because of a typo
+    log('error', 'bans reload failed, keeping previous lists', { file: BANS_FILE, err: e.message });
+  }
+}
+
+function findRule(rules, ip) {
+  return rules.find(r => ipInList(r.list, ip)) || null;
+}
+
+// Returns the rule that refuses this IP, or null when it may pass
+function checkBan(ip) {
+  if (findRule(bans.allow, ip)) return null;
+  const denied = findRule(bans.deny, ip);
+  if (denied) return denied;
+  if (bans.allowOnly) return { rule: 'allowOnly' };
+  return null;
+}
+
+loadBans();
+// watchFile polls, so it survives editors that replace the file and files that don't exist yet
+fs.watchFile(BANS_FILE, { interval: 2000 }, loadBans).unref();
+
+// ---- Rate limiting ----
+
+// rate = tokens per second, burst = bucket size. rate 0 means unlimited.
+function createTokenBucket(rate, burst) {
+  return { rate, burst, tokens: burst, last: Date.now() };
+}
+
+function takeTokens(bucket, n = 1) {
+  if (!bucket.rate) return true;
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.last) / 1000) * bucket.rate);
+  bucket.last = now;
+  if (bucket.tokens < n) return false;
+  bucket.tokens -= n;
+  return true;
+}
+
+// ip -> { active, connects: token bucket }
+const ipLimits = new Map();
+
+function ipLimitState(ip) {
+  let st = ipLimits.get(ip);
+  if (!st) {
+    st = { active: 0, connects: createTokenBucket(LIMITS.CONN_PER_MINUTE / 60, LIMITS.CONN_PER_MINUTE) };
+    ipLimits.set(ip, st);
+  }
+  return st;
+}
+
+// Returns a close reason when this IP may not open another session, otherwise counts it and returns null
+function admitConnection(ip) {
+  const st = ipLimitState(ip);
+  if (LIMITS.CONN_PER_IP && st.active >= LIMITS.CONN_PER_IP) return 'Too many connections from your IP';
+  if (!takeTokens(st.connects)) return 'Connecting too fast, try again in a minute';
+  st.active++;
+  return null;
+}
+
+function releaseConnection(ip) {
+  const st = ipLimits.get(ip);
+  if (st) st.active = Math.max(0, st.active - 1);
+}
+
+// Forget idle IPs whose connect bucket has refilled
+setInterval(() => {
+  for (const [ip, st] of ipLimits) {
+    takeTokens(st.connects, 0);
+    if (st.active === 0 && st.connects.tokens >= st.connects.burst) ipLimits.delete(ip);
+  }
+}, 60 * 1000).unref();
+
+function fillPlaceholders(text, escape = (v) => v) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (Object.hasOwn(PLACEHOLDERS, name) ? escape(String(PLACEHOLDERS[name])) : m));
+}
+
+// Runs fn over the HTML outside <script> bodies (start tags included) and leaves the bodies alone:
+// they are JS or JSON, where HTML rewriting (entities, markup) would corrupt them. Like the browser,
+// a body ends at the first </script, even inside a JS string.
+function mapOutsideScripts(html, fn) {
+  let out = '';
+  let last = 0;
+  for (const m of html.matchAll(/<script\b[^>]*>([\s\S]*?)(?=<\/script[\s>/]|$)/gi)) {
+    const end = m.index + m[0].length;
+    out += fn(html.slice(last, end - m[1].length)) + m[1];
+    last = end;
+  }
+  return out + fn(html.slice(last));
+}
+
+// pagePath is the canonical URL path ("/", "/game.html"), or null for error pages (no canonical / og:url / JSON-LD)
+function pageMeta(pagePath) {
+  const p = (pagePath && CONFIG.preview.pages[pagePath]) || {};
+  return {
+    path: pagePath,
+    title: fillPlaceholders(p.title || PREVIEW.TITLE),
+    description: fillPlaceholders(p.description || PREVIEW.DESCRIPTION),
+    image: p.ogImage || PREVIEW.OG_IMAGE,
+    type: p.type || 'website',
+    noindex: !!p.noindex,
+  };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches e.g. <meta property="og:title" ...> or <link ... rel="canonical"> already in the page
+function tagPattern(tag, attr, value) {
+  return new RegExp(`<${tag}\\s[^>]*\\b${attr}\\s*=\\s*["']?${escapeRegExp(value)}["'\\s/>]`, 'i');
+}
+
+function metaTag(attr, key, content) {
+  return { match: tagPattern('meta', attr, key), html: `<meta ${attr}="${key}" content="${escapeHtml(content)}">` };
+}
+
+function linkTag(attrs, matchAttr = 'href') {
+  const html = Object.entries(attrs).map(([k, v]) => `${k}="${escapeHtml(v)}"`).join(' ');
+  return { match: tagPattern('link', matchAttr, attrs[matchAttr]), html: `<link ${html}>` };
+}
+
+function structuredData(page) {
+  const site = { '@type': 'WebSite', name: PREVIEW.SITE_NAME, url: PREVIEW.PUBLIC_BASE_URL + '/' };
+  const data = page.path === '/'
+    ? { '@context': 'https://schema.org', ...site, description: page.description, image: page.image }
+    : {
+      '@context': 'https://schema.org',
+      '@type': 'WebPage',
+      name: page.title,
+      url: PREVIEW.PUBLIC_BASE_URL + page.path,
+      description: page.description,
+      image: page.image,
+      isPartOf: site,
+    };
+  // "</script>" inside a string would end the block early
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Tags injected into every HTML response (index.html, game.html, mobile.html, etc)
+function headTags(page) {
+  const url = page.path ? PREVIEW.PUBLIC_BASE_URL + page.path : null;
+  const tags = [
+    // Favicons / app icons
+    linkTag({ rel: 'icon', href: '/favicon.ico', sizes: 'any' }),
+    linkTag({ rel: 'icon', type: 'image/png', sizes: '32x32', href: '/favicon-32x32.png' }),
+    linkTag({ rel: 'icon', type: 'image/png', sizes: '16x16', href: '/favicon-16x16.png' }),
+    linkTag({ rel: 'apple-touch-icon', sizes: '180x180', href: '/apple-touch-icon.png' }),
+    linkTag({ rel: 'icon', type: 'image/png', sizes: '192x192', href: '/android-chrome-192x192.png' }),
+    linkTag({ rel: 'icon', type: 'image/png', sizes: '512x512', href: '/android-chrome-512x512.png' }),
+    linkTag({ rel: 'manifest', href: '/site.webmanifest' }, 'rel'),
+    metaTag('name', 'theme-color', PREVIEW.THEME_COLOR),
+    metaTag('name', 'color-scheme', 'dark'),
+    page.noindex && metaTag('name', 'robots', 'noindex'),
+    url && linkTag({ rel: 'canonical', href: url }, 'rel'),
+
+    // Open Graph (Discord / iMessage / Facebook)
+    metaTag('property', 'og:type', page.type),
+    metaTag('property', 'og:site_name', PREVIEW.SITE_NAME),
+    metaTag('property', 'og:title', page.title),
+    metaTag('property', 'og:description', page.description),
+    url && metaTag('property', 'og:url', url),
+    metaTag('property', 'og:image', page.image),
+    // Only the default image is known to be 1200x630
+    page.image === PREVIEW.OG_IMAGE && metaTag('property', 'og:image:width', '1200'),
+    page.image === PREVIEW.OG_IMAGE && metaTag('property', 'og:image:height', '630'),
+
+    // Twitter
+    metaTag('name', 'twitter:card', 'summary_large_image'),
+    metaTag('name', 'twitter:title', page.title),
+    metaTag('name', 'twitter:description', page.description),
+    metaTag('name', 'twitter:image', page.image),
+
+    url && {
+      match: /<script\s[^>]*type\s*=\s*["']?application\/ld\+json/i,
+      html: `<script type="application/ld+json">${structuredData(page)}</script>`,
+    },
+  ];
+  return tags.filter(Boolean);
+}
+
+// Fills placeholders (outside scripts), then inserts right before </head> whatever head tags the page doesn't already have
+function injectHead(html, pagePath) {
+  html = mapOutsideScripts(html, (part) => fillPlaceholders(part, escapeHtml));
+  const idx = html.toLowerCase().lastIndexOf('</head>');
+  if (idx === -1) return html;
+  const head = html.slice(0, idx);
+  const tags = headTags(pageMeta(pagePath)).filter(t => !t.match.test(head));
+  if (!tags.length) return html;
+  return head + '\n  <!-- Injected by server.js -->\n' + tags.map(t => `  ${t.html}\n`).join('') + html.slice(idx);
+}
+
+function contentType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ({
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.ogg': 'audio/ogg',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.wasm': 'application/wasm',
+    '.woff2': 'font/woff2',
+  })[ext] || 'application/octet-stream';
+}
+
+function cacheControlFor(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  // HTML should update quickly (Discord also caches previews, so you may version og-image)
+  if (ext === '.html') return 'no-cache';
+
+  // Icons + OG image should be cached (you can change filenames or add ?v=2 when updating)
+  if (
+    ext === '.png' || ext === '.jpg' || ext === '.jpeg' || ext === '.webp' ||
+    ext === '.svg' || ext === '.ico' || ext === '.webmanifest'
+  ) {
+    return 'public, max-age=604800, immutable'; // 7 days
+  }
+
+  return 'public, max-age=86400'; // 1 day default
+}
+
+// ---- Security headers / CSP ----
+
+const CSP_MODE = CONFIG.security.csp.mode;
+const CSP_REPORT_PATH = '/csp-report';
+
+// Fits the landing page (inline <style> blocks, self-hosted fonts) and Eagler clients
+// (WebSockets to any server, WebAssembly, blob: workers and audio)
+const CSP_DEFAULTS = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", "'wasm-unsafe-eval'"],
+  'style-src': ["'self'", "'unsafe-inline'"],
+  'font-src': ["'self'", 'data:'],
+  'img-src': ["'self'", 'data:', 'blob:', 'https:'],
+  'media-src': ["'self'", 'blob:'],
+  'connect-src': ["'self'", 'ws:', 'wss:'],
+  'worker-src': ["'self'", 'blob:'],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+};
+
+// Sensors + gamepad + fullscreen + mic (voice chat) for the game, nothing for trackers
+const PERMISSIONS_POLICY_DEFAULTS = {
+  accelerometer: '(self)',
+  autoplay: '(self)',
+  camera: '()',
+  fullscreen: '(self)',
+  gamepad: '(self)',
+  geolocation: '()',
+  gyroscope: '(self)',
+  magnetometer: '(self)',
+  microphone: '(self)',
+  payment: '()',
+  usb: '()',
+};
+
+const CSP_DIRECTIVES = Object.fromEntries(
+  Object.entries({ ...CSP_DEFAULTS, ...CONFIG.security.csp.directives })
+    .filter(([name, sources]) => sources.length && name !== 'frame-ancestors')
+);
+const FRAME_ANCESTORS = CONFIG.security.frameAncestors.join(' ') || "'none'";
+const X_FRAME_OPTIONS = ({ "'none'": 'DENY', "'self'": 'SAMEORIGIN' })[FRAME_ANCESTORS] || null;
+const PERMISSIONS_POLICY = Object.entries({ ...PERMISSIONS_POLICY_DEFAULTS, ...CONFIG.security.permissionsPolicy })
+  .map(([feature, allow]) => `${feature}=${allow}`)
+  .join(', ');
+
+// Inline <script> tags get nonce="<marker>" when the HTML is cached; every response swaps in a fresh nonce
+const CSP_NONCE_MARKER = `csp-nonce-${crypto.randomBytes(8).toString('hex')}`;
+
+// Directive names we accept as a metric label (reports are unauthenticated input)
+const CSP_REPORT_DIRECTIVES = new Set([
+  ...Object.keys(CSP_DIRECTIVES), 'frame-ancestors', 'script-src-elem', 'script-src-attr', 'style-src-elem', 'style-src-attr',
+]);
+const cspReportLogBucket = createTokenBucket(5, 50);
+
+function applySecurityHeaders(res) {
+  res.setHeader('content-security-policy', `frame-ancestors ${FRAME_ANCESTORS}`);
+  if (X_FRAME_OPTIONS) res.setHeader('x-frame-options', X_FRAME_OPTIONS);
+  res.setHeader('permissions-policy', PERMISSIONS_POLICY);
+  res.setHeader('cross-origin-opener-policy', CONFIG.security.coop);
+  if (CONFIG.security.coep !== 'unsafe-none') res.setHeader('cross-origin-embedder-policy', CONFIG.security.coep);
+  if (CSP_MODE !== 'off') res.setHeader('reporting-endpoints', `csp="${CSP_REPORT_PATH}"`);
+}
+
+// Only real start tags: "<script" inside an inline script (strings, comments) is left as it is
+function addNonceMarkers(html) {
+  if (CSP_MODE === 'off') return html;
+  return mapOutsideScripts(html, (part) => part.replace(/<script\b(?![^>]*\bnonce\s*=)/gi, `<script nonce="${CSP_NONCE_MARKER}"`));
+}
+
+// Full page policy as [header name, value]. In report-only mode the frame-ancestors-only
+// policy from applySecurityHeaders stays enforced next to it.
+function pageCsp(nonce) {
+  const parts = Object.entries(CSP_DIRECTIVES).map(([name, sources]) => (
+    [name, ...sources, ...(name === 'script-src' && nonce ? [`'nonce-${nonce}'`] : [])].join(' ')
+  ));
+  parts.push(`frame-ancestors ${FRAME_ANCESTORS}`, `report-uri ${CSP_REPORT_PATH}`, 'report-to csp');
+  const name = CSP_MODE === 'enforce' ? 'content-security-policy' : 'content-security-policy-report-only';
+  return [name, parts.join('; ')];
+}
+
+function serveCspReport(req, res) {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { allow: 'POST', 'content-type': 'text/plain; charset=utf-8' });
+    res.end('Method Not Allowed');
+    return;
+  }
+
+  readJsonBody(req, 64 * 1024, true).then((body) => {
+    // report-uri posts { "csp-report": {...} }; the Reporting API posts [{ "type": "csp-violation", "body": {...} }]
+    const reports = Array.isArray(body)
+      ? body.filter(r => r && r.type === 'csp-violation').map(r => r.body || {})
+      : [body['csp-report'] || {}];
+
+    for (const r of reports) {
+      const raw = String(r.effectiveDirective || r['effective-directive'] || r['violated-directive'] || '').split(' ')[0];
+      const directive = CSP_REPORT_DIRECTIVES.has(raw) ? raw : 'other';
+      metricInc(M.cspReports, { directive });
+      if (!takeTokens(cspReportLogBucket)) continue;
+      log('warn', 'csp violation', {
+        ip: clientIp(req),
+        directive,
+        disposition: r.disposition,
+        blocked: r.blockedURL || r['blocked-uri'],
+        document: r.documentURL || r['document-uri'],
+        source: r.sourceFile || r['source-file'],
+        line: r.lineNumber || r['line-number'],
+        sample: r.sample || r['script-sample'],
+      });
+    }
+    res.writeHead(204);
+    res.end();
+  }).catch((err) => {
+    res.writeHead(400, { 'content-type': 'text/plain; charset=utf-8' });
+    res.end(err.message);
+  });
+}
+
+// ---- Static file cache / conditional requests / compression ----
+
+const SERVER_STARTED_AT = Date.now();
+const COMPRESSIBLE_EXTS = new Set(['.html', '.css', '.js', '.mjs', '.json', '.webmanifest', '.svg', '.txt', '.xml']);
+
+// LRU: Map keeps insertion order, so re-inserting on every hit leaves the coldest entry first
+const staticCache = new Map(); // key -> { mtimeMs, data }
+let staticCacheBytes = 0;
+
+function staticCacheGet(key, mtimeMs) {
+  const hit = staticCache.get(key);
+  if (!hit) return null;
+  staticCache.delete(key);
+  if (hit.mtimeMs !== mtimeMs) {
+    staticCacheBytes -= hit.data.length;
+    return null;
+  }
+  staticCache.set(key, hit);
+  return hit.data;
+}
+
+function staticCachePut(key, mtimeMs, data) {
+  if (STATIC_CACHE_MAX_BYTES <= 0 || data.length > STATIC_CACHE_FILE_MAX_BYTES) return;
+  const old = staticCache.get(key);
+  if (old) {
+    staticCache.delete(key);
+    staticCacheBytes -= old.data.length;
+  }
+  staticCache.set(key, { mtimeMs, data });
+  staticCacheBytes += data.length;
+  for (const [k, v] of staticCache) {
+    if (staticCacheBytes <= STATIC_CACHE_MAX_BYTES) break;
+    staticCache.delete(k);
+    staticCacheBytes -= v.data.length;
+  }
+}
+
+async function readCached(key, filePath, st, transform) {
+  const hit = staticCacheGet(key, st.mtimeMs);
+  if (hit) return hit;
+  let data = await fs.promises.readFile(filePath);
+  if (transform) data = transform(data);
+  staticCachePut(key, st.mtimeMs, data);
+  return data;
+}
+
+function pickEncoding(req) {
+  const accepted = new Set();
+  for (const part of String(req.headers['accept-encoding'] || '').toLowerCase().split(',')) {
+    const [name, ...params] = part.split(';').map((x) => x.trim());
+    const q = params.find((p) => p.startsWith('q='));
+    if (name && !(q && Number(q.slice(2)) === 0)) accepted.add(name);
+  }
+  if (accepted.has('br')) return 'br';
+  if (accepted.has('gzip') || accepted.has('*')) return 'gzip';
+  return null;
+}
+
+function compressBuffer(data, encoding) {
+  return encoding === 'br'
+    ? zlib.brotliCompressSync(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } })
+    : zlib.gzipSync(data, { level: 9 });
+}
+
+// For bodies that change on every request (nonce pages): off the event loop and at stream-level effort,
+// since nothing gets to reuse the result
+function compressOnce(data, encoding) {
+  return new Promise((resolve, reject) => {
+    const done = (err, out) => (err ? reject(err) : resolve(out));
+    if (encoding === 'br') zlib.brotliCompress(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }, done);
+    else zlib.gzip(data, done);
+  });
+}
+
+function compressStream(encoding) {
+  return encoding === 'br'
+    ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+    : zlib.createGzip();
+}
+
+// file.br / file.gz built ahead of time (e.g. `brotli -k`), only trusted when not older than the source
+async function precompressedFor(filePath, st, encoding) {
+  const candidate = `${filePath}.${encoding === 'br' ? 'br' : 'gz'}`;
+  try {
+    const pst = await fs.promises.stat(candidate);
+    if (pst.isFile() && pst.mtimeMs >= st.mtimeMs) return { path: candidate, size: pst.size };
+  } catch {}
+  return null;
+}
+
+function etagMatches(header, etag) {
+  if (header.trim() === '*') return true;
+  const weak = (t) => t.trim().replace(/^W\//, '');
+  return header.split(',').some((t) => weak(t) === weak(etag));
+}
+
+function isFresh(req, etag, lastModified) {
+  const inm = req.headers['if-none-match'];
+  if (inm) return etagMatches(inm, etag); // If-None-Match wins over If-Modified-Since
+  const ims = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(ims) && Math.floor(lastModified / 1000) * 1000 <= ims;
+}
 
-`;
+// If-Range needs a strong validator match (or the exact Last-Modified date), otherwise send the whole file
+function ifRangeMatches(req, etag, lastModified) {
+  const v = req.headers['if-range'];
+  if (!v) return true;
+  if (v.startsWith('"') || v.startsWith('W/')) return !etag.startsWith('W/') && v.trim() === etag;
+  return v.trim() === new Date(lastModified).toUTCString();
+}
 
-function log(...a) {
-  console.log(new Date().toISOString(), ...a);
+// Single ranges only; multi-range requests just get the full 200 (allowed by RFC 9110)
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start;
+  let end;
+  if (m[1] === '') {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
 }
 
-function escapeHtml(s) {
-  return String(s)
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;')
-    .replaceAll('"', '&quot;')
-    .replaceAll("'", '&#39;');
+function streamTo(res, src, transform) {
+  const done = (err) => {
+    // Aborted downloads (audio seeking, navigating away) are normal
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') log('warn', 'static stream error', { error: err.message });
+  };
+  if (transform) pipeline(src, transform, res, done);
+  else pipeline(src, res, done);
 }
 
-function injectHead(html) {
-  // Insert right before </head>. If no </head>, just return original.
-  const idx = html.toLowerCase().lastIndexOf('</head>');
-  if (idx === -1) return html;
-  return html.slice(0, idx) + HEAD_INJECT + html.slice(idx);
+function isSpaRoute(urlPath) {
+  const p = urlPath.length > 1 ? urlPath.replace(/\/+$/, '') : urlPath;
+  return SPA_FALLBACK.some((entry) => {
+    if (entry.endsWith('/*')) {
+      const prefix = entry.slice(0, -2);
+      return p === prefix || p.startsWith(prefix + '/');
+    }
+    return p === entry.replace(/\/+$/, '');
+  });
 }
 
-function contentType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return ({
-    '.html': 'text/html; charset=utf-8',
-    '.css': 'text/css; charset=utf-8',
-    '.js': 'application/javascript; charset=utf-8',
-    '.mjs': 'application/javascript; charset=utf-8',
-    '.json': 'application/json; charset=utf-8',
-    '.webmanifest': 'application/manifest+json; charset=utf-8',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.webp': 'image/webp',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon',
-    '.txt': 'text/plain; charset=utf-8',
-    '.xml': 'application/xml; charset=utf-8',
-  })[ext] || 'application/octet-stream';
+function sendPlainNotFound(res) {
+  res.writeHead(404, { 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'no-store' });
+  res.end('Not Found');
 }
 
-function cacheControlFor(filePath) {
+// Browsers get the 404 page; fetches for missing assets just get a short text body
+function serveNotFound(req, res) {
+  if (!/\btext\/html\b/.test(req.headers.accept || '')) {
+    sendPlainNotFound(res);
+    return;
+  }
+  sendFile(req, res, NOT_FOUND_PAGE, { status: 404 }).catch((e) => {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    if (e.code !== 'ENOENT') log('error', 'static file error', { file: NOT_FOUND_PAGE, error: e.message });
+    sendPlainNotFound(res);
+  });
+}
+
+function serveFile(req, res, filePath, pagePath) {
+  sendFile(req, res, filePath, { pagePath }).catch((e) => {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    // Deleted between stat and read
+    if (e.code === 'ENOENT') {
+      serveNotFound(req, res);
+      return;
+    }
+    log('error', 'static file error', { file: filePath, error: e.message });
+    res.writeHead(500, { 'content-type': 'text/plain; charset=utf-8' });
+    res.end('Internal Server Error');
+  });
+}
+
+// Warn about injected head links (favicons, manifest, og:image on our own domain) that would 404
+// Only tags that point at files: icons, the manifest and the preview images (not canonical / og:url, which are pages)
+const HEAD_ASSET_TAG = /^<(?:link rel="(?:icon|apple-touch-icon|manifest)"|meta (?:property|name)="(?:og|twitter):image")/;
+
+function checkHeadAssets() {
+  const refs = new Set();
+  const injected = [null, ...Object.keys(CONFIG.preview.pages)]
+    .flatMap(p => headTags(pageMeta(p)))
+    .map(t => t.html)
+    .filter(html => HEAD_ASSET_TAG.test(html))
+    .join('\n');
+  for (const m of injected.matchAll(/\b(?:href|content)="([^"]+)"/g)) {
+    let ref = m[1].replace(/&amp;/g, '&');
+    if (ref.startsWith(PREVIEW.PUBLIC_BASE_URL + '/')) ref = ref.slice(PREVIEW.PUBLIC_BASE_URL.length);
+    ref = ref.split(/[?#]/)[0];
+    if (ref === WEB_MANIFEST_PATH) continue; // generated, see serveWebManifest
+    if (ref.length > 1 && ref.startsWith('/') && !ref.startsWith('//')) refs.add(ref);
+  }
+  for (const ref of refs) {
+    const file = path.join(PUBLIC_DIR, ref);
+    let ok = false;
+    try {
+      ok = fs.statSync(file).isFile();
+    } catch {}
+    if (!ok) log('warn', 'head asset missing', { path: ref, file });
+  }
+}
+
+// status !== 200 is for error pages: no validators, no ranges, never cached by the browser.
+// pagePath is the URL the HTML is served under (per-page head tags + canonical URL).
+async function sendFile(req, res, filePath, { status = 200, pagePath = null } = {}) {
+  const st = await fs.promises.stat(filePath);
+  if (!st.isFile()) throw Object.assign(new Error('not a file'), { code: 'EISDIR' });
+
   const ext = path.extname(filePath).toLowerCase();
+  const isHtml = ext === '.html';
+  const headOnly = req.method === 'HEAD';
+  const headers = {
+    'content-type': contentType(filePath),
+    'cache-control': status === 200 ? cacheControlFor(filePath) : 'no-store',
+    'x-content-type-options': 'nosniff',
+    'referrer-policy': 'no-referrer-when-downgrade',
+  };
 
-  // HTML should update quickly (Discord also caches previews, so you may version og-image)
-  if (ext === '.html') return 'no-cache';
+  // HTML is rewritten by injectHead, so its validators come from the output (and restarts may change PREVIEW);
+  // the same file can also be served under several paths (SPA fallback) with different head tags
+  const cacheKey = isHtml ? `${filePath}\0${pagePath}` : filePath;
+  let body = null;
+  let etag;
+  let lastModified;
+  let nonce = null;
+  if (isHtml) {
+    body = await readCached(cacheKey, filePath, st, (buf) => (
+      Buffer.from(addNonceMarkers(injectHead(buf.toString('utf8'), pagePath)), 'utf8')
+    ));
+    etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    lastModified = Math.max(st.mtimeMs, SERVER_STARTED_AT);
+    if (CSP_MODE !== 'off') {
+      if (body.includes(CSP_NONCE_MARKER)) {
+        nonce = crypto.randomBytes(16).toString('base64');
+        body = Buffer.from(body.toString('utf8').replaceAll(CSP_NONCE_MARKER, nonce), 'utf8');
+      }
+      const [name, value] = pageCsp(nonce);
+      headers[name] = value;
+    }
+  } else {
+    etag = `"${st.size.toString(16)}-${Math.floor(st.mtimeMs).toString(16)}"`;
+    lastModified = st.mtimeMs;
+    if (STATIC_CACHE_MAX_BYTES > 0 && st.size <= STATIC_CACHE_FILE_MAX_BYTES) body = await readCached(cacheKey, filePath, st);
+    headers['accept-ranges'] = 'bytes';
+  }
+  const size = body ? body.length : st.size;
+  const compressible = COMPRESSIBLE_EXTS.has(ext);
+  // A 304 would pair the cached page's old nonce with a new policy, so nonce pages are always sent in full
+  const validators = status === 200 && !nonce;
 
-  // Icons + OG image should be cached (you can change filenames or add ?v=2 when updating)
-  if (
-    ext === '.png' || ext === '.jpg' || ext === '.jpeg' || ext === '.webp' ||
-    ext === '.svg' || ext === '.ico' || ext === '.webmanifest'
-  ) {
-    return 'public, max-age=604800, immutable'; // 7 days
+  headers['last-modified'] = new Date(lastModified).toUTCString();
+  if (compressible) headers.vary = 'accept-encoding';
+
+  if (!validators) {
+    delete headers['accept-ranges'];
+    delete headers['last-modified'];
+  } else if (isFresh(req, etag, lastModified)) {
+    headers.etag = etag;
+    res.writeHead(304, headers);
+    res.end();
+    return;
   }
 
-  return 'public, max-age=86400'; // 1 day default
+  // Byte ranges are always served from the identity encoding
+  const range = (status === 200 && !isHtml && req.method === 'GET' && req.headers.range && ifRangeMatches(req, etag, lastModified))
+    ? parseRange(req.headers.range, size)
+    : null;
+  if (range && range.unsatisfiable) {
+    res.writeHead(416, { 'content-range': `bytes */${size}`, 'content-type': 'text/plain; charset=utf-8' });
+    res.end('Range Not Satisfiable');
+    return;
+  }
+  if (range) {
+    headers.etag = etag;
+    headers['content-range'] = `bytes ${range.start}-${range.end}/${size}`;
+    headers['content-length'] = range.end - range.start + 1;
+    res.writeHead(206, headers);
+    if (body) res.end(body.subarray(range.start, range.end + 1));
+    else streamTo(res, fs.createReadStream(filePath, { start: range.start, end: range.end }));
+    return;
+  }
+
+  const encoding = (compressible && size >= COMPRESS_MIN_BYTES) ? pickEncoding(req) : null;
+  if (encoding) {
+    headers['content-encoding'] = encoding;
+    if (validators) headers.etag = etag.startsWith('W/') ? etag : `W/${etag}`; // different bytes than the identity response
+
+    const pre = isHtml ? null : await precompressedFor(filePath, st, encoding);
+    if (pre) {
+      headers['content-length'] = pre.size;
+      res.writeHead(status, headers);
+      if (headOnly) res.end();
+      else streamTo(res, fs.createReadStream(pre.path));
+      return;
+    }
+
+    if (body) {
+      const key = `${cacheKey}\0${encoding}`;
+      let packed = nonce ? await compressOnce(body, encoding) : staticCacheGet(key, st.mtimeMs);
+      if (!packed) {
+        packed = compressBuffer(body, encoding);
+        staticCachePut(key, st.mtimeMs, packed);
+      }
+      headers['content-length'] = packed.length;
+      res.writeHead(status, headers);
+      res.end(headOnly ? undefined : packed);
+      return;
+    }
+
+    res.writeHead(status, headers);
+    if (headOnly) res.end();
+    else streamTo(res, fs.createReadStream(filePath), compressStream(encoding));
+    return;
+  }
+
+  if (validators) headers.etag = etag;
+  headers['content-length'] = size;
+  res.writeHead(status, headers);
+  if (headOnly) res.end();
+  else if (body) res.end(body);
+  else streamTo(res, fs.createReadStream(filePath));
+}
+
+// ---- PWA: web app manifest / service worker ----
+
+const WEB_MANIFEST_PATH = '/site.webmanifest';
+const SW_PATH = '/sw.js';
+const SW_TEMPLATE = path.join(PUBLIC_DIR, 'sw.js');
+const OFFLINE_PAGE_PATH = '/offline.html';
+
+// The font files fonts.css points at (written next to it by scripts/build-fonts.js, which `npm test` checks).
+// Taken from the stylesheet rather than the directory, so checkPrecache reports any that are missing
+function fontFiles() {
+  let css;
+  try {
+    css = fs.readFileSync(path.join(PUBLIC_DIR, 'fonts.css'), 'utf8');
+  } catch {
+    return [];
+  }
+  return [...new Set([...css.matchAll(/url\((\/fonts\/[^)'"\s]+)\)/g)].map(m => m[1]))];
+}
+
+// Stored by the worker on install; "/" is the landing page. Missing files are left out of the list
+const PRECACHE_PATHS = [...new Set([
+  '/',
+  OFFLINE_PAGE_PATH,
+  '/utilities.css',
+  '/styles-extra.css',
+  '/fonts.css',
+  ...fontFiles(),
+  '/eaglermobile.user.js',
+  CONFIG.site.desktopPortalPath,
+  CONFIG.site.mobilePortalPath,
+  ...CONFIG.pwa.precache,
+])];
+
+// The injected HTML depends on the config, so a config change has to roll out like a file change
+const CONFIG_HASH = crypto.createHash('sha1').update(JSON.stringify(CONFIG)).digest('base64url');
+
+// Served as /sw.js when pwa.enabled is false, so browsers that installed the worker earlier drop it
+const SW_UNINSTALL = `self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys.filter((k) => k.startsWith('portal-')).map((k) => caches.delete(k))))
+    .then(() => self.registration.unregister()));
+});
+`;
+
+const precacheHashes = new Map(); // file -> { size, mtimeMs, hash }
+
+function precacheFile(urlPath) {
+  return path.join(PUBLIC_DIR, urlPath === '/' ? 'index.html' : path.normalize(urlPath));
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('base64url')));
+  });
+}
+
+// [{ url, revision }] for the precache files that exist; hashes are redone only when size or mtime change
+async function precacheManifest() {
+  const entries = [];
+  for (const url of PRECACHE_PATHS) {
+    const file = precacheFile(url);
+    let st;
+    try {
+      st = await fs.promises.stat(file);
+    } catch {
+      continue;
+    }
+    if (!st.isFile()) continue;
+    let memo = precacheHashes.get(file);
+    if (!memo || memo.size !== st.size || memo.mtimeMs !== st.mtimeMs) {
+      memo = { size: st.size, mtimeMs: st.mtimeMs, hash: await hashFile(file) };
+      precacheHashes.set(file, memo);
+    }
+    entries.push({ url, revision: memo.hash });
+  }
+  return entries;
+}
+
+// public/sw.js with its version, precache list and game pages filled in. Any change to a precached file
+// changes these bytes, which is what makes browsers install the new worker
+async function serveServiceWorker(req, res) {
+  let body = SW_UNINSTALL;
+  if (CONFIG.pwa.enabled) {
+    const template = await fs.promises.readFile(SW_TEMPLATE, 'utf8');
+    const entries = await precacheManifest();
+    const version = crypto.createHash('sha1')
+      .update(template)
+      .update(CONFIG_HASH)
+      .update(JSON.stringify(entries))
+      .digest('base64url')
+      .slice(0, 12);
+    body = template
+      .replace('/*@version*/"dev"', JSON.stringify(version))
+      .replace('/*@precache*/[]', JSON.stringify(entries))
+      .replace('/*@games*/[]', JSON.stringify([CONFIG.site.desktopPortalPath, CONFIG.site.mobilePortalPath]));
+  }
+  res.writeHead(200, {
+    'content-type': 'text/javascript; charset=utf-8',
+    'cache-control': 'no-cache',
+    'x-content-type-options': 'nosniff',
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function webManifest() {
+  const icons = [
+    { src: '/android-chrome-192x192.png', sizes: '192x192', type: 'image/png' },
+    { src: '/android-chrome-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'any maskable' },
+  ].filter(icon => fs.existsSync(path.join(PUBLIC_DIR, icon.src)));
+  return {
+    id: '/',
+    name: PREVIEW.SITE_NAME,
+    short_name: CONFIG.pwa.shortName || CONFIG.site.name,
+    description: fillPlaceholders(PREVIEW.DESCRIPTION),
+    start_url: '/',
+    scope: '/',
+    display: CONFIG.pwa.display,
+    background_color: CONFIG.pwa.backgroundColor,
+    theme_color: PREVIEW.THEME_COLOR,
+    icons,
+    shortcuts: [
+      { name: 'Play in browser', url: CONFIG.site.desktopPortalPath },
+      { name: 'Play on mobile', url: CONFIG.site.mobilePortalPath },
+    ],
+  };
+}
+
+function serveWebManifest(req, res) {
+  const body = Buffer.from(JSON.stringify(webManifest(), null, 2), 'utf8');
+  const etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  const headers = {
+    'content-type': 'application/manifest+json; charset=utf-8',
+    'cache-control': 'no-cache',
+    etag,
+  };
+  if (isFresh(req, etag, SERVER_STARTED_AT)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  headers['content-length'] = body.length;
+  res.writeHead(200, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Startup check: anything listed but missing is simply not available offline
+function checkPrecache() {
+  if (!CONFIG.pwa.enabled) return;
+  for (const url of PRECACHE_PATHS) {
+    const file = precacheFile(url);
+    let ok = false;
+    try {
+      ok = fs.statSync(file).isFile();
+    } catch {}
+    if (!ok) log('warn', 'precache file missing, it will not work offline', { path: url, file });
+  }
 }
 
 function serveStatic(req, res) {
   const urlPathRaw = (req.url || '').split('?')[0];
 
   if (urlPathRaw === '/health') {
-    res.writeHead(200, { 'content-type': 'text/plain; charset=utf-8' });
-    res.end('ok\n');
+    res.writeHead(draining ? 503 : 200, { 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'no-store' });
+    res.end(draining ? 'draining\n' : 'ok\n');
+    return;
+  }
+
+  if (urlPathRaw === '/api/status') {
+    serveApiStatus(req, res);
+    return;
+  }
+
+  if (urlPathRaw === CSP_REPORT_PATH) {
+    serveCspReport(req, res);
+    return;
+  }
+
+  if (urlPathRaw === '/api/config') {
+    serveApiConfig(req, res);
+    return;
+  }
+
+  if (urlPathRaw === WEB_MANIFEST_PATH) {
+    serveWebManifest(req, res);
+    return;
+  }
+
+  if (urlPathRaw === SW_PATH) {
+    serveServiceWorker(req, res).catch((e) => {
+      log('error', 'service worker error', { error: e.message });
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.writeHead(500, { 'content-type': 'text/plain; charset=utf-8' });
+      res.end('Internal Server Error');
+    });
+    return;
+  }
+
+  if (urlPathRaw === '/metrics') {
+    serveMetrics(req, res);
+    return;
+  }
+
+  if (urlPathRaw.startsWith('/admin/api/')) {
+    serveAdminApi(req, res, urlPathRaw);
     return;
   }
 
   let urlPath = urlPathRaw;
   if (urlPath === '/' || urlPath === '') urlPath = '/index.html';
+  if (urlPath === '/admin' || urlPath === '/admin/') urlPath = '/admin.html';
 
   let safePath;
   try {
@@ -145,80 +2175,268 @@ function serveStatic(req, res) {
   }
 
   fs.stat(filePath, (err, st) => {
-    const chosen = (!err && st.isFile()) ? filePath : path.join(PUBLIC_DIR, 'index.html');
-
-    fs.readFile(chosen, (e2, data) => {
-      if (e2) {
-        res.writeHead(404, { 'content-type': 'text/plain; charset=utf-8' });
-        res.end('Not Found');
-        return;
-      }
-
-      const headers = {
-        'content-type': contentType(chosen),
-        'cache-control': cacheControlFor(chosen),
-        'x-content-type-options': 'nosniff',
-        'referrer-policy': 'no-referrer-when-downgrade',
-      };
-
-      // Inject preview + favicon tags into ANY HTML you serve
-      if (chosen.toLowerCase().endsWith('.html')) {
-        const html = data.toString('utf8');
-        const out = injectHead(html);
-        headers['content-type'] = 'text/html; charset=utf-8';
-        res.writeHead(200, headers);
-        res.end(out, 'utf8');
-        return;
-      }
+    const pagePath = urlPath.replace(/\/index\.html$/, '/');
+    if (!err && st.isFile()) serveFile(req, res, filePath, pagePath);
+    else if (isSpaRoute(urlPath)) serveFile(req, res, path.join(PUBLIC_DIR, 'index.html'), pagePath);
+    else serveNotFound(req, res);
+  });
+}
 
-      res.writeHead(200, headers);
-      res.end(data);
+function handleRequest(req, res) {
+  const startedAt = Date.now();
+  applySecurityHeaders(res);
+  if (TLS_ENABLED && HSTS_MAX_AGE) {
+    res.setHeader('strict-transport-security', `max-age=${HSTS_MAX_AGE}${HSTS_INCLUDE_SUBDOMAINS ? '; includeSubDomains' : ''}`);
+  }
+  res.on('finish', () => {
+    metricInc(M.http, { code: res.statusCode });
+    accessLog({
+      type: 'http',
+      ip: clientIp(req),
+      method: req.method,
+      path: (req.url || '').split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ua: req.headers['user-agent'] || undefined,
+      referer: req.headers.referer || undefined,
     });
   });
+
+  if (bans.http) {
+    const ip = clientIp(req);
+    const hit = checkBan(ip);
+    if (hit) {
+      log('warn', 'ban rejected http', { ip, rule: hit.rule, note: hit.note, path: (req.url || '').split('?')[0] });
+      res.writeHead(403, { 'content-type': 'text/plain; charset=utf-8' });
+      res.end('Forbidden');
+      return;
+    }
+  }
+  serveStatic(req, res);
+}
+
+// ---- TLS ----
+
+function loadCertPair(certFile, keyFile) {
+  return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile) };
+}
+
+function buildSniContexts() {
+  const out = new Map();
+  for (const [host, files] of Object.entries(TLS_SNI)) {
+    if (!files?.cert || !files?.key) throw new Error(`TLS_SNI["${host}"] needs cert and key`);
+    out.set(host.toLowerCase(), tls.createSecureContext(loadCertPair(files.cert, files.key)));
+  }
+  return out;
+}
+
+let sniContexts = TLS_ENABLED ? buildSniContexts() : new Map();
+
+// Exact hostname first, then "*.parent"; unknown names get the default certificate
+function sniCallback(servername, cb) {
+  const name = String(servername || '').toLowerCase();
+  const ctx = sniContexts.get(name) || sniContexts.get('*' + name.slice(name.indexOf('.')));
+  cb(null, ctx);
+}
+
+function reloadCertificates() {
+  try {
+    server.setSecureContext(loadCertPair(TLS_CERT_FILE, TLS_KEY_FILE));
+    sniContexts = buildSniContexts();
+    log('info', 'tls certificates reloaded', { sni: [...sniContexts.keys()] });
+  } catch (e) {
+    log('error', 'tls reload failed, keeping previous certificates', { err: e.message });
+  }
+}
+
+function watchCertificates() {
+  const files = new Set([TLS_CERT_FILE, TLS_KEY_FILE]);
+  for (const f of Object.values(TLS_SNI)) { files.add(f.cert); files.add(f.key); }
+
+  // cert and key are usually replaced together; wait for both before reloading
+  let pending = null;
+  for (const file of files) {
+    fs.watchFile(file, { interval: 5000 }, () => {
+      clearTimeout(pending);
+      pending = setTimeout(reloadCertificates, 1000);
+    }).unref();
+  }
 }
 
-const server = http.createServer(serveStatic);
+const server = TLS_ENABLED
+  ? https.createServer({ ...loadCertPair(TLS_CERT_FILE, TLS_KEY_FILE), SNICallback: sniCallback }, handleRequest)
+  : http.createServer(handleRequest);
+
+if (TLS_ENABLED) watchCertificates();
+
+// Plain HTTP listener that only sends people to https://
+const redirectServer = (TLS_ENABLED && HTTP_REDIRECT_PORT)
+  ? http.createServer((req, res) => {
+    const host = String(req.headers.host || '').replace(/:\d+$/, '') || new URL(PREVIEW.PUBLIC_BASE_URL).hostname;
+    const port = Number(PORT) === 443 ? '' : `:${PORT}`;
+    res.writeHead(301, { location: `https://${host}${port}${req.url || '/'}`, 'cache-control': 'no-cache' });
+    res.end();
+  })
+  : null;
 
 // WebSocket server (noServer so we can keep "/" for HTTP too)
-const wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false, maxPayload: 0 });
+const wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false, maxPayload: LIMITS.MAX_PAYLOAD_BYTES });
 
 server.on('upgrade', (req, socket, head) => {
   const upgrade = (req.headers.upgrade || '').toLowerCase();
   if (upgrade !== 'websocket') return socket.destroy();
 
-  // Allow WS on ANY path (safer for clients); still serves public via normal HTTP
-  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  if (draining) {
+    metricInc(M.wsRefused, { reason: 'draining' });
+    socket.end('HTTP/1.1 503 Service Unavailable\r\nRetry-After: 5\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    return;
+  }
+
+  const ip = clientIp(req);
+  const hit = checkBan(ip);
+  if (hit) {
+    log('warn', 'ban rejected ws', { ip, rule: hit.rule, note: hit.note, path: (req.url || '').split('?')[0] });
+    metricInc(M.wsRefused, { reason: 'ban' });
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+    return;
+  }
+
+  // Allow WS on ANY path (safer for clients); unmatched paths use the default route
+  const route = resolveRoute(req);
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, route));
 });
 
-wss.on('connection', (client, req) => {
-  const ip =
-    (req.headers['x-forwarded-for'] || '').toString().split(',')[0].trim() ||
-    req.socket.remoteAddress ||
-    'unknown';
+// Closes a client we won't serve. ws still parses whatever the client sends until the close handshake ends,
+// and a bad frame then emits 'error': without a listener that would take the whole process down.
+function refuseClient(client, clog, code, reason) {
+  client.on('error', (err) => clog('debug', 'refused client error', { err: err.message }));
+  client.close(code, reason);
+}
+
+wss.on('connection', (client, req, route) => {
+  const ip = clientIp(req);
+  const conn = newConnectionId();
+  const reqPath = (req.url || '').split('?')[0];
+  const clog = (level, msg, fields) => log(level, msg, { conn, ip, ...fields });
 
   const protoHeader = req.headers['sec-websocket-protocol'];
   const protocols = protoHeader
     ? protoHeader.split(',').map(s => s.trim()).filter(Boolean)
     : undefined;
 
-  log('[IN ] ws connect', { ip, path: (req.url || '').split('?')[0], protocols });
+  clog('info', 'client connect', { path: reqPath, route: route.name, protocols });
+
+  if (maintenance.enabled) {
+    clog('info', 'maintenance refused');
+    metricInc(M.wsRefused, { reason: 'maintenance' });
+    refuseClient(client, clog, CLOSE_TRY_AGAIN, closeReason(maintenance.message));
+    return;
+  }
+
+  const refused = admitConnection(ip);
+  if (refused) {
+    clog('warn', 'limit refused', { why: refused });
+    metricInc(M.wsRefused, { reason: 'limit' });
+    refuseClient(client, clog, CLOSE_POLICY, refused);
+    return;
+  }
+
+  const connectedAt = Date.now();
+  metricInc(M.wsTotal, { route: route.name });
+  metricInc(M.wsActive, {}, 1);
+
+  const msgBucket = createTokenBucket(LIMITS.MSGS_PER_SEC, LIMITS.MSGS_PER_SEC * 2);
+  const byteBucket = createTokenBucket(LIMITS.BYTES_PER_SEC, LIMITS.BYTES_PER_SEC * 2);
 
   // Buffer client -> upstream until upstream is open (THIS FIXES MOTD/ping)
   const MAX_QUEUE_BYTES = 2 * 1024 * 1024; // 2MB
   const queue = [];
   let queueBytes = 0;
 
-  const upstream = new WebSocket(UPSTREAM_URL, protocols, {
-    perMessageDeflate: false,
-    handshakeTimeout: 15000,
-  });
+  // Upstreams already attempted for this client, and whether any upstream data reached it.
+  // A failed handshake is retried on the next upstream only while the client has seen nothing.
+  const tried = new Set();
+  let sentToClient = false;
+  let upstream = null;
+  let closing = false;
+  let clientCloseCode = null;
+  let upstreamCloseCode = null;
+
+  // Live view of this session for the admin API
+  const session = {
+    conn,
+    ip,
+    path: reqPath,
+    route: route.name,
+    protocols: protocols || [],
+    connectedAt,
+    upstream: null,
+    bytesIn: 0, // client -> upstream
+    bytesOut: 0, // upstream -> client
+    close: (code, reason, why = 'admin kick') => closeClient(code, reason, why),
+    buffered: () => client.bufferedAmount + (upstream?.bufferedAmount || 0) + queueBytes,
+    stalled: () => paused.client_to_upstream || paused.upstream_to_client,
+  };
+  sessions.set(conn, session);
+
+  const ended = (why) => {
+    sessions.delete(conn);
+    metricInc(M.wsClosed, { reason: why });
+    metricObserve(M.wsDuration, { route: route.name }, (Date.now() - connectedAt) / 1000);
+    const summary = {
+      path: reqPath,
+      route: route.name,
+      upstream: session.upstream,
+      why,
+      durationMs: Date.now() - connectedAt,
+      bytesIn: session.bytesIn,
+      bytesOut: session.bytesOut,
+      clientCloseCode,
+      upstreamCloseCode,
+    };
+    clog('info', 'session end', summary);
+    accessLog({ type: 'ws', conn, ip, ...summary });
+  };
 
   const kill = (why) => {
+    if (closing) return;
+    closing = true;
     try { client.terminate(); } catch {}
-    try { upstream.terminate(); } catch {}
-    log('[CLS]', { ip, why });
+    try { upstream?.terminate(); } catch {}
+    ended(why);
   };
 
+  // Like kill(), but tells the client why with a proper close frame
+  const closeClient = (code, reason, why) => {
+    if (closing) return;
+    closing = true;
+    try { client.close(code, reason); } catch {}
+    try { upstream?.terminate(); } catch {}
+    ended(why);
+  };
+
+  // direction -> whether we stopped reading the sending side
+  const paused = { client_to_upstream: false, upstream_to_client: false };
+
+  // Send to dst; if dst can't keep up, stop reading src until dst drains below the low-water mark
+  function relay(src, dst, data, isBinary, direction) {
+    dst.send(data, { binary: isBinary, compress: false }, () => {
+      if (paused[direction] && dst.bufferedAmount <= FLOW.LOW_WATER) {
+        paused[direction] = false;
+        src.resume();
+        clog('debug', 'flow resumed', { direction });
+      }
+    });
+
+    if (FLOW.SESSION_MAX && dst.bufferedAmount > FLOW.SESSION_MAX) return kill('buffer overflow');
+    if (!paused[direction] && dst.bufferedAmount > FLOW.HIGH_WATER) {
+      paused[direction] = true;
+      src.pause();
+      metricInc(M.stalls, { direction });
+      clog('debug', 'flow paused', { direction, buffered: dst.bufferedAmount });
+    }
+  }
+
   function enqueue(data, isBinary) {
     const size = typeof data === 'string' ? Buffer.byteLength(data) : (data?.length ?? 0);
     queue.push({ data, isBinary, size });
@@ -227,8 +2445,18 @@ wss.on('connection', (client, req) => {
   }
 
   client.on('message', (data, isBinary) => {
+    if (client.readyState !== WebSocket.OPEN) return;
+
+    const size = typeof data === 'string' ? Buffer.byteLength(data) : (data?.length ?? 0);
+    if (!takeTokens(msgBucket) || !takeTokens(byteBucket, size)) {
+      return closeClient(CLOSE_POLICY, 'Rate limit exceeded', 'rate limit');
+    }
+    metricInc(M.messages, { direction: 'client_to_upstream' });
+    metricInc(M.bytes, { direction: 'client_to_upstream' }, size);
+    session.bytesIn += size;
+
     if (upstream.readyState === WebSocket.OPEN) {
-      upstream.send(data, { binary: isBinary, compress: false });
+      relay(client, upstream, data, isBinary, 'client_to_upstream');
     } else if (upstream.readyState === WebSocket.CONNECTING) {
       enqueue(data, isBinary);
     } else {
@@ -236,42 +2464,163 @@ wss.on('connection', (client, req) => {
     }
   });
 
-  upstream.on('open', () => {
-    log('[UP ] open', { ip });
-    while (queue.length && upstream.readyState === WebSocket.OPEN) {
-      const m = queue.shift();
-      queueBytes -= m.size;
-      upstream.send(m.data, { binary: m.isBinary, compress: false });
-    }
-  });
-
-  upstream.on('message', (data, isBinary) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(data, { binary: isBinary, compress: false });
-    }
-  });
-
-  upstream.on('close', (code, reason) => {
-    log('[UP ] close', { ip, code, reason: reason?.toString?.() || '' });
-    kill('upstream closed');
-  });
-
   client.on('close', (code, reason) => {
-    log('[IN ] close', { ip, code, reason: reason?.toString?.() || '' });
+    releaseConnection(ip);
+    metricInc(M.wsActive, {}, -1);
+    clientCloseCode = code;
+    clog('info', 'client close', { code, reason: reason?.toString?.() || '' });
     kill('client closed');
   });
 
-  upstream.on('error', (err) => {
-    log('[UP ] error', { ip, err: err?.message || String(err) });
-    kill('upstream error');
-  });
-
   client.on('error', (err) => {
-    log('[IN ] error', { ip, err: err?.message || String(err) });
+    clog('warn', 'client error', { err: err?.message || String(err) });
     kill('client error');
   });
+
+  function connectUpstream() {
+    const next = pickUpstream(route.upstreams, tried);
+    if (!next) return kill('no upstream available');
+    tried.add(next);
+    session.upstream = next.url;
+
+    const ws = new WebSocket(next.url, protocols, {
+      perMessageDeflate: false,
+      handshakeTimeout: UPSTREAM_HANDSHAKE_TIMEOUT_MS,
+      ...upstreamForwardOptions(next.url, req, ip),
+    });
+    upstream = ws;
+    let opened = false;
+    const startedAt = Date.now();
+
+    ws.on('open', () => {
+      opened = true;
+      metricObserve(M.handshake, { route: route.name }, (Date.now() - startedAt) / 1000);
+      markUpstream(next, true);
+      clog('info', 'upstream open', { url: next.url, handshakeMs: Date.now() - startedAt });
+      while (queue.length && ws.readyState === WebSocket.OPEN) {
+        const m = queue.shift();
+        queueBytes -= m.size;
+        relay(client, ws, m.data, m.isBinary, 'client_to_upstream');
+      }
+    });
+
+    ws.on('message', (data, isBinary) => {
+      metricInc(M.messages, { direction: 'upstream_to_client' });
+      const size = typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+      metricInc(M.bytes, { direction: 'upstream_to_client' }, size);
+      session.bytesOut += size;
+      if (client.readyState === WebSocket.OPEN) {
+        sentToClient = true;
+        relay(ws, client, data, isBinary, 'upstream_to_client');
+      }
+    });
+
+    ws.on('close', (code, reason) => {
+      if (ws !== upstream) return; // superseded by a failover attempt
+      upstreamCloseCode = code;
+      clog('info', 'upstream close', { url: next.url, code, reason: reason?.toString?.() || '' });
+      kill('upstream closed');
+    });
+
+    ws.on('error', (err) => {
+      if (closing) return; // we tore it down ourselves
+      const msg = err?.message || String(err);
+      clog('warn', 'upstream error', { url: next.url, err: msg, opened });
+
+      if (!opened) {
+        metricInc(M.handshakeFailed, { route: route.name });
+        markUpstream(next, false, msg);
+        if (!sentToClient && client.readyState === WebSocket.OPEN) {
+          try { ws.terminate(); } catch {}
+          return connectUpstream();
+        }
+      }
+      kill('upstream error');
+    });
+  }
+
+  connectUpstream();
 });
 
+checkHeadAssets();
+checkPrecache();
+
 server.listen(PORT, '0.0.0.0', () => {
-  log(`listening on ${PORT} (HTTP serves /public, WSS upgrades on /)`);
+  log('info', 'listening', {
+    port: Number(PORT),
+    tls: TLS_ENABLED,
+    note: TLS_ENABLED ? 'HTTPS serves /public, WSS upgrades on /' : 'HTTP serves /public, WSS upgrades on /',
+  });
+  for (const r of [...ROUTES, DEFAULT_ROUTE]) {
+    log('info', 'route', {
+      name: r.name,
+      host: r.host || '*',
+      path: r.path || '*',
+      upstreams: r.upstreams.map(u => ({ url: u.url, priority: u.priority, weight: u.weight })),
+    });
+  }
 });
+
+// Global buffer cap: close the most-buffered sessions until we're back under FLOW.TOTAL_MAX
+setInterval(() => {
+  if (!FLOW.TOTAL_MAX) return;
+  const all = [...sessions.values()].map(s => ({ s, bytes: s.buffered() }));
+  let total = all.reduce((sum, x) => sum + x.bytes, 0);
+  if (total <= FLOW.TOTAL_MAX) return;
+
+  log('warn', 'total buffer cap exceeded', { total, max: FLOW.TOTAL_MAX, sessions: all.length });
+  all.sort((a, b) => b.bytes - a.bytes);
+  for (const x of all) {
+    if (total <= FLOW.TOTAL_MAX) break;
+    x.s.close(CLOSE_TRY_AGAIN, 'Connection too slow, please reconnect', 'total buffer cap');
+    total -= x.bytes;
+  }
+}, 1000).unref();
+
+// ---- Graceful shutdown ----
+
+let draining = false;
+
+function shutdown(signal) {
+  if (draining) {
+    log('warn', 'second signal, exiting without waiting', { signal });
+    process.exit(1);
+  }
+  draining = true;
+  log('info', 'draining', { signal, sessions: sessions.size, graceMs: SHUTDOWN_GRACE_MS });
+
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  const tick = setInterval(() => {
+    if (sessions.size && Date.now() < deadline) return;
+    clearInterval(tick);
+
+    if (sessions.size) log('info', 'grace period over, closing sessions', { sessions: sessions.size });
+    for (const s of [...sessions.values()]) s.close(CLOSE_SERVICE_RESTART, 'Server restarting, please reconnect', 'shutdown');
+    server.close();
+    server.closeIdleConnections();
+    redirectServer?.close();
+
+    // Give close frames a moment to flush before exiting
+    const exitBy = Date.now() + 3000;
+    const wait = setInterval(() => {
+      if (wss.clients.size && Date.now() < exitBy) return;
+      clearInterval(wait);
+      log('info', 'shutdown complete');
+      accessStream?.end();
+      process.exit(0);
+    }, 100);
+  }, 250);
+}
+
+if (redirectServer) {
+  redirectServer.listen(HTTP_REDIRECT_PORT, '0.0.0.0', () => {
+    log('info', 'redirecting http to https', { port: HTTP_REDIRECT_PORT });
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Background health probes so new connections skip upstreams that are down
+probeAllUpstreams();
+if (UPSTREAM_PROBE_INTERVAL_MS > 0) setInterval(probeAllUpstreams, UPSTREAM_PROBE_INTERVAL_MS).unref();
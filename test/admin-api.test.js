@@ -0,0 +1,64 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, rawWebSocket, invalidFrame, assertAlive } = require('./server');
+
+const TOKEN = 'test-admin-token';
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_TOKEN: TOKEN });
+});
+
+after(() => server.stop());
+
+function post(route, body) {
+  return fetch(server.url + '/admin/api' + route, {
+    method: 'POST',
+    headers: { authorization: 'Bearer ' + TOKEN, 'content-type': 'application/json' },
+    body,
+  });
+}
+
+for (const route of ['/kick-ip', '/maintenance', '/sessions/abc/kick']) {
+  for (const body of ['null', '[]', '[1, 2]', '42', '"text"', 'true']) {
+    test(`POST ${route} with body ${body} is a 400, not a crash`, async () => {
+      const res = await post(route, body);
+      assert.strictEqual(res.status, 400);
+      assert.match((await res.json()).error, /JSON object/);
+      assert.strictEqual(server.exited(), null);
+    });
+  }
+}
+
+test('a JSON object body still works', async () => {
+  const res = await post('/maintenance', JSON.stringify({ enabled: false }));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).enabled, false);
+});
+
+test('an empty body still counts as {}', async () => {
+  const res = await post('/kick-ip', '');
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).error, /ip is required/);
+});
+
+test('the server is still up after the bad bodies', async () => {
+  const res = await fetch(server.url + '/admin/api/maintenance', { headers: { authorization: 'Bearer ' + TOKEN } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(server.exited(), null);
+});
+
+test('a client refused during maintenance cannot crash the proxy with a bad frame', async () => {
+  assert.strictEqual((await post('/maintenance', JSON.stringify({ enabled: true }))).status, 200);
+  try {
+    const refused = await rawWebSocket(server.url);
+    refused.write(invalidFrame());
+    await assertAlive(server);
+    assert.match(server.output(), /"msg":"maintenance refused"/);
+    refused.destroy();
+  } finally {
+    await post('/maintenance', JSON.stringify({ enabled: false }));
+  }
+});
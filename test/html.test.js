@@ -0,0 +1,94 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./server');
+
+const NAME = `Tom & Jerry's <Server>`;
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <title>{{serverName}}</title>
+</head>
+<body>
+  <h1 data-name="{{serverName}}">{{serverName}}</h1>
+  <script>
+    const name = '{{serverName}}';
+    document.write('<script src="/late.js"><\\/script>');
+    // <script> in a comment
+  </script>
+  <script src="/app.js"></script>
+  <p>${'Big enough to be compressed. '.repeat(40)}</p>
+</body>
+</html>
+`;
+
+let dir;
+let server;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-html-'));
+  const publicDir = path.join(dir, 'public');
+  fs.mkdirSync(publicDir);
+  fs.writeFileSync(path.join(publicDir, 'index.html'), PAGE);
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8'));
+  config.site.name = NAME;
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config));
+  server = await startServer({ PUBLIC_DIR: publicDir, CONFIG_FILE: path.join(dir, 'config.json'), CSP_MODE: 'enforce' });
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function page() {
+  const res = await fetch(server.url + '/');
+  assert.strictEqual(res.status, 200);
+  return { html: await res.text(), csp: res.headers.get('content-security-policy') || '' };
+}
+
+test('placeholders are HTML-escaped in markup and attributes', async () => {
+  const { html } = await page();
+  const escaped = 'Tom &amp; Jerry&#39;s &lt;Server&gt;';
+  assert.ok(html.includes(`<title>${escaped}</title>`), html);
+  assert.ok(html.includes(`<h1 data-name="${escaped}">${escaped}</h1>`), html);
+});
+
+test('placeholders inside inline scripts are left alone', async () => {
+  const { html } = await page();
+  assert.ok(html.includes(`const name = '{{serverName}}';`), html);
+});
+
+test('every real <script> tag gets the response nonce', async () => {
+  const { html, csp } = await page();
+  const nonce = (csp.match(/'nonce-([^']+)'/) || [])[1];
+  assert.ok(nonce, csp);
+  assert.ok(html.includes(`<script nonce="${nonce}">\n    const name`), html);
+  assert.ok(html.includes(`<script nonce="${nonce}" src="/app.js"></script>`), html);
+});
+
+test('"<script" inside an inline script is not rewritten', async () => {
+  const { html } = await page();
+  assert.ok(html.includes(`document.write('<script src="/late.js"><\\/script>');`), html);
+  assert.ok(html.includes('// <script> in a comment'), html);
+});
+
+for (const encoding of ['br', 'gzip']) {
+  test(`nonce pages are compressed per response (${encoding})`, async () => {
+    const nonces = new Set();
+    for (let i = 0; i < 2; i++) {
+      const res = await fetch(server.url + '/', { headers: { 'accept-encoding': encoding } });
+      assert.strictEqual(res.headers.get('content-encoding'), encoding);
+      const nonce = (res.headers.get('content-security-policy').match(/'nonce-([^']+)'/) || [])[1];
+      const html = await res.text();
+      assert.ok(html.includes(`<script nonce="${nonce}" src="/app.js"></script>`), html);
+      nonces.add(nonce);
+    }
+    assert.strictEqual(nonces.size, 2);
+  });
+}
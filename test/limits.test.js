@@ -0,0 +1,28 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, rawWebSocket, invalidFrame, assertAlive } = require('./server');
+
+let server;
+
+before(async () => {
+  server = await startServer({ LIMIT_CONN_PER_MINUTE: '1' });
+});
+
+after(() => server.stop());
+
+test('a client refused by the connection limit cannot crash the proxy with a bad frame', async () => {
+  const first = await rawWebSocket(server.url);
+  const refused = await rawWebSocket(server.url);
+  refused.write(invalidFrame());
+  await assertAlive(server);
+  assert.match(server.output(), /"msg":"limit refused"/);
+  first.destroy();
+  refused.destroy();
+});
+
+test('a numeric setting that is not a number stops the proxy from starting', async () => {
+  await assert.rejects(startServer({ UPSTREAM_PROBE_TIMEOUT_MS: '5s' }), /UPSTREAM_PROBE_TIMEOUT_MS must be a number \(got "5s"\)/);
+  await assert.rejects(startServer({ LIMIT_CONN_PER_IP: 'eight' }), /LIMIT_CONN_PER_IP must be a number/);
+});
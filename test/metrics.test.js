@@ -0,0 +1,32 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./server');
+
+const UPSTREAM = 'ws://10.0.0.5:25565/';
+
+test('public /metrics does not reveal upstream URLs', async () => {
+  const server = await startServer({ UPSTREAM_URL: UPSTREAM, METRICS_TOKEN: '' });
+  try {
+    const res = await fetch(server.url + '/metrics');
+    assert.strictEqual(res.status, 200);
+    const body = await res.text();
+    assert.match(body, /^eagler_proxy_upstream_healthy\{upstream="0"\} [01]$/m);
+    assert.ok(!body.includes(UPSTREAM), body);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('/metrics behind METRICS_TOKEN labels upstreams with their URL', async () => {
+  const server = await startServer({ UPSTREAM_URL: UPSTREAM, METRICS_TOKEN: 'secret' });
+  try {
+    assert.strictEqual((await fetch(server.url + '/metrics')).status, 401);
+    const res = await fetch(server.url + '/metrics', { headers: { authorization: 'Bearer secret' } });
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /^eagler_proxy_upstream_healthy\{upstream="0",url="ws:\/\/10\.0\.0\.5:25565\/"\} [01]$/m);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+// Starts server.js in a child process on a free port and resolves once it logs "listening".
+// The server can't be required in-process: it reads its config and starts listening at load.
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, LOG_FORMAT: 'json', LOG_LEVEL: 'info', ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  let exited = null;
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start:\n' + output)), 10000);
+    child.stdout.on('data', (c) => {
+      output += c;
+      if (/"msg":"listening"/.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (c) => { output += c; });
+    child.once('exit', (code, signal) => {
+      exited = { code, signal };
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code ?? signal}) before listening:\n` + output));
+    });
+  });
+  child.on('exit', (code, signal) => { exited = { code, signal }; });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    exited: () => exited,
+    stop() {
+      if (exited) return Promise.resolve();
+      return new Promise((resolve) => {
+        child.once('exit', () => resolve());
+        child.kill('SIGKILL');
+      });
+    },
+  };
+}
+
+// Opens a WebSocket by hand (no ws client, so tests can send frames a real client never would).
+// Resolves with the raw socket once the server has answered 101.
+function rawWebSocket(serverUrl, wsPath = '/') {
+  const { hostname, port } = new URL(serverUrl);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), hostname);
+    let response = '';
+    socket.once('error', reject);
+    socket.on('data', function onData(chunk) {
+      response += chunk.toString('latin1');
+      if (!response.includes('\r\n\r\n')) return;
+      socket.off('data', onData);
+      if (!response.startsWith('HTTP/1.1 101')) return reject(new Error('upgrade failed: ' + response.split('\r\n')[0]));
+      resolve(socket);
+    });
+    socket.write([
+      `GET ${wsPath} HTTP/1.1`,
+      `Host: ${hostname}:${port}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+      'Sec-WebSocket-Version: 13',
+      '', '',
+    ].join('\r\n'));
+  });
+}
+
+// A masked text frame with RSV1 set and no extension negotiated: the server's parser must reject it
+function invalidFrame() {
+  const payload = Buffer.from('x');
+  const mask = crypto.randomBytes(4);
+  return Buffer.concat([Buffer.from([0xc1, 0x80 | payload.length]), mask, payload.map((b, i) => b ^ mask[i % 4])]);
+}
+
+// Waits a moment, then checks the server still answers HTTP
+async function assertAlive(server) {
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  if (server.exited()) throw new Error('server exited:\n' + server.output());
+  const res = await fetch(server.url + '/api/config');
+  if (res.status !== 200) throw new Error('server answered ' + res.status);
+}
+
+module.exports = { startServer, rawWebSocket, invalidFrame, assertAlive };